@@ -0,0 +1,71 @@
+import { Trash2 } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { activityLog, setLogLevel } from './activityLog';
+import { formatDate } from './format';
+import { LEVELS, logger } from './logger';
+
+const LEVEL_STYLES = {
+  debug: 'bg-gray-100 text-gray-700',
+  info: 'bg-blue-100 text-blue-800',
+  warn: 'bg-yellow-100 text-yellow-800',
+  error: 'bg-red-100 text-red-800'
+};
+
+const ActivityLog = () => {
+  const [entries, setEntries] = useState(activityLog.entries);
+  const [minLevel, setMinLevel] = useState(logger.getMinLevel);
+
+  useEffect(() => activityLog.subscribe(setEntries), []);
+
+  const changeMinLevel = (level) => {
+    setLogLevel(level);
+    setMinLevel(level);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-8 mt-8">
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-xl font-semibold text-gray-800">Activity Log</h3>
+        <div className="flex items-center space-x-3 text-sm">
+          <label className="flex items-center space-x-2 text-gray-600">
+            <span>Minimum level</span>
+            <select
+              value={minLevel}
+              onChange={(e) => changeMinLevel(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-lg"
+            >
+              {Object.keys(LEVELS).map(level => <option key={level} value={level}>{level}</option>)}
+            </select>
+          </label>
+          <button
+            onClick={() => activityLog.clear()}
+            disabled={entries.length === 0}
+            className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Trash2 className="w-4 h-4 mr-1" />
+            Clear
+          </button>
+        </div>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">No activity yet</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto divide-y divide-gray-100 text-sm">
+          {[...entries].reverse().map((entry, index) => (
+            <div key={`${entry.timestamp}-${index}`} className="flex items-center py-2 space-x-3">
+              <span className={`w-14 text-center px-2 py-0.5 rounded-full text-xs ${LEVEL_STYLES[entry.level]}`}>
+                {entry.level}
+              </span>
+              <span className="text-gray-500 whitespace-nowrap">{formatDate(new Date(entry.timestamp))}</span>
+              <span className="text-gray-800">{entry.message}</span>
+              {entry.data?.shortcode && <span className="text-blue-600 font-medium">{entry.data.shortcode}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActivityLog;
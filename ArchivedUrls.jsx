@@ -0,0 +1,103 @@
+import { Archive, RotateCcw, Trash2 } from 'lucide-react';
+import { useState } from 'react';
+import { formatDate } from './format';
+import Pagination from './Pagination';
+import { DEFAULT_VALIDITY_PERIOD } from './shortener';
+import { paginate } from './urlQuery';
+
+// `canManage(url)` hides restore and purge for links the user may only view
+const ArchivedUrls = ({ urls, canManage, onRestore, onPurge }) => {
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(20);
+
+  if (urls.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <Archive className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-500">No archived links</p>
+      </div>
+    );
+  }
+
+  const urlPage = paginate(urls, page, pageSize);
+  const manageableUrls = urls.filter(canManage);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4 text-sm">
+        <p className="text-gray-600">
+          Restored links are active again for {DEFAULT_VALIDITY_PERIOD} minutes.
+        </p>
+        {manageableUrls.length > 0 && (
+          <button
+            onClick={() => onPurge(manageableUrls)}
+            className="inline-flex items-center px-3 py-1 border border-red-300 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+          >
+            <Trash2 className="w-4 h-4 mr-1" />
+            Purge all
+          </button>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="pb-2 font-medium">Short URL</th>
+              <th className="pb-2 font-medium">Original URL</th>
+              <th className="pb-2 font-medium">Expired</th>
+              <th className="pb-2 font-medium">Archived</th>
+              <th className="pb-2 font-medium text-right">Clicks</th>
+              <th className="pb-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {urlPage.items.map(url => (
+              <tr key={url.id}>
+                <td className="py-2 pr-4 text-blue-600 font-medium">{url.shortcode}</td>
+                <td className="py-2 pr-4 text-gray-800 truncate max-w-xs">{url.originalUrl}</td>
+                <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{formatDate(url.expiresAt)}</td>
+                <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{formatDate(url.archivedAt)}</td>
+                <td className="py-2 text-right font-semibold text-green-600">{url.clicks}</td>
+                <td className="py-2 pl-4">
+                  {canManage(url) && (
+                    <div className="flex items-center justify-end space-x-1">
+                      <button
+                        onClick={() => onRestore(url)}
+                        className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                        title="Restore"
+                      >
+                        <RotateCcw className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => onPurge([url])}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                        title="Purge"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <Pagination
+        page={urlPage.page}
+        pageCount={urlPage.pageCount}
+        pageSize={pageSize}
+        total={urls.length}
+        onPageChange={setPage}
+        onPageSizeChange={(size) => {
+          setPageSize(size);
+          setPage(1);
+        }}
+      />
+    </div>
+  );
+};
+
+export default ArchivedUrls;
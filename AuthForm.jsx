@@ -0,0 +1,105 @@
+import { Link, LogIn, UserPlus } from 'lucide-react';
+import { useState } from 'react';
+import { validateAccountPassword, validateUsername } from './accounts';
+import { api } from './api';
+import { logger } from './logger';
+
+const AuthForm = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegistering = mode === 'register';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const validationError = isRegistering
+      ? validateUsername(username) || validateAccountPassword(password)
+      : null;
+    if (validationError) {
+      setError(validationError.message);
+      return;
+    }
+
+    setError(null);
+    setIsSubmitting(true);
+
+    const authenticate = isRegistering ? api.register : api.login;
+    authenticate(username, password).then(user => {
+      logger.info(isRegistering ? 'Account registered' : 'Logged in', { username: user.username, role: user.role });
+      onAuthenticated(user);
+    }).catch(err => {
+      logger.warn(isRegistering ? 'Registration failed' : 'Login failed', { username, error: err.message });
+      setError(err.message);
+    }).finally(() => {
+      setIsSubmitting(false);
+    });
+  };
+
+  const switchMode = () => {
+    setMode(isRegistering ? 'login' : 'register');
+    setError(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+      <div className="w-full max-w-sm">
+        <div className="flex items-center justify-center mb-8">
+          <Link className="w-10 h-10 text-blue-600 mr-3" />
+          <h1 className="text-3xl font-bold text-gray-800">URL Shortener</h1>
+        </div>
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-lg p-8 space-y-4">
+          <h2 className="text-xl font-semibold text-gray-800">{isRegistering ? 'Create an account' : 'Log in'}</h2>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={isRegistering ? 'new-password' : 'current-password'}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              required
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full inline-flex items-center justify-center bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            {isRegistering ? <UserPlus className="w-4 h-4 mr-2" /> : <LogIn className="w-4 h-4 mr-2" />}
+            {isRegistering ? 'Register' : 'Log in'}
+          </button>
+
+          <p className="text-sm text-center text-gray-600">
+            {isRegistering ? 'Already have an account?' : 'New here?'}{' '}
+            <button type="button" onClick={switchMode} className="text-blue-600 hover:underline">
+              {isRegistering ? 'Log in' : 'Create an account'}
+            </button>
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AuthForm;
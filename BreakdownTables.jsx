@@ -0,0 +1,40 @@
+import { useMemo } from 'react';
+import { breakdownClicks } from './analytics';
+
+const DIMENSIONS = [
+  ['source', 'Source'],
+  ['device', 'Device'],
+  ['browser', 'Browser'],
+  ['os', 'Operating System']
+];
+
+const BreakdownTables = ({ clicks }) => {
+  const breakdown = useMemo(() => breakdownClicks(clicks), [clicks]);
+
+  if (clicks.length === 0) {
+    return <p className="text-center text-sm text-gray-500 py-8">No clicks yet</p>;
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+      {DIMENSIONS.map(([key, title]) => (
+        <div key={key}>
+          <p className="text-sm font-medium text-gray-700 mb-2">{title}</p>
+          <table className="w-full text-sm">
+            <tbody className="divide-y divide-gray-100">
+              {breakdown[key].map(row => (
+                <tr key={row.label}>
+                  <td className="py-1 pr-2 text-gray-800 truncate max-w-0 w-full" title={row.label}>{row.label}</td>
+                  <td className="py-1 px-2 text-right font-medium text-gray-800">{row.count}</td>
+                  <td className="py-1 pl-2 text-right text-gray-500">{Math.round(row.share * 100)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default BreakdownTables;
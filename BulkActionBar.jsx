@@ -0,0 +1,86 @@
+import { Clock, Download, Trash2, X } from 'lucide-react';
+import { useState } from 'react';
+import { downloadFile } from './download';
+import { exportFilename, urlsToCsv, urlsToJson } from './exportData';
+import { MAX_VALIDITY_PERIOD } from './shortener';
+
+const BulkActionBar = ({ selectedUrls, expiredCount, onDelete, onExtend, onPurgeExpired, onClear }) => {
+  const [extendMinutes, setExtendMinutes] = useState(60);
+  const hasSelection = selectedUrls.length > 0;
+
+  const exportSelection = (format) => {
+    if (format === 'json') {
+      downloadFile(exportFilename('links-selection', 'json'), urlsToJson(selectedUrls), 'application/json');
+    } else {
+      downloadFile(exportFilename('links-selection', 'csv'), urlsToCsv(selectedUrls), 'text/csv');
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+      <span className="text-gray-700">
+        <span className="font-semibold text-gray-800">{selectedUrls.length}</span> selected
+      </span>
+
+      {hasSelection && (
+        <>
+          <button
+            onClick={onDelete}
+            className="inline-flex items-center px-3 py-1 border border-red-300 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+          >
+            <Trash2 className="w-4 h-4 mr-1" />
+            Delete
+          </button>
+          <div className="flex items-center space-x-1">
+            <button
+              onClick={() => onExtend(extendMinutes)}
+              disabled={!Number.isInteger(extendMinutes) || extendMinutes < 1 || extendMinutes > MAX_VALIDITY_PERIOD}
+              className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <Clock className="w-4 h-4 mr-1" />
+              Extend by
+            </button>
+            <input
+              type="number"
+              min="1"
+              max={MAX_VALIDITY_PERIOD}
+              value={extendMinutes}
+              onChange={(e) => setExtendMinutes(parseInt(e.target.value, 10))}
+              className="w-24 px-2 py-1 border border-gray-300 rounded-lg"
+            />
+            <span className="text-gray-600">minutes</span>
+          </div>
+          <button
+            onClick={() => exportSelection('json')}
+            className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-white transition-colors"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            JSON
+          </button>
+          <button
+            onClick={() => exportSelection('csv')}
+            className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-white transition-colors"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            CSV
+          </button>
+          <button onClick={onClear} className="inline-flex items-center text-gray-500 hover:text-gray-700">
+            <X className="w-4 h-4 mr-1" />
+            Clear
+          </button>
+        </>
+      )}
+
+      <button
+        onClick={onPurgeExpired}
+        disabled={expiredCount === 0}
+        className="ml-auto inline-flex items-center px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        <Trash2 className="w-4 h-4 mr-1" />
+        Purge {expiredCount} expired
+      </button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,112 @@
+import { Upload } from 'lucide-react';
+import { useState } from 'react';
+import { MAX_BULK_ROWS, parseBulkInput } from './bulk';
+
+const BulkShortenForm = ({ onCreate }) => {
+  const [input, setInput] = useState('');
+  const [results, setResults] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    file.text().then(setInput).catch(err => setError(`Could not read ${file.name}: ${err.message}`));
+    e.target.value = '';
+  };
+
+  const runBulk = () => {
+    const rows = parseBulkInput(input);
+
+    if (rows.length === 0) {
+      setError('Please enter at least one URL');
+      return;
+    }
+
+    if (rows.length > MAX_BULK_ROWS) {
+      setError(`Bulk mode accepts at most ${MAX_BULK_ROWS} rows at a time`);
+      return;
+    }
+
+    setError(null);
+    setResults(rows.map(row => ({ ...row, status: 'pending' })));
+    setIsRunning(true);
+
+    // One request for the whole list; custom shortcodes earlier in it win over later duplicates
+    onCreate(rows).then(created => {
+      setResults(rows.map((row, index) => (created[index].url
+        ? { ...row, status: 'success', shortUrl: created[index].url.shortUrl }
+        : { ...row, status: 'error', error: created[index].error.message })));
+    }).catch(err => {
+      setResults(rows.map(row => ({ ...row, status: 'error', error: err.message })));
+    }).finally(() => setIsRunning(false));
+  };
+
+  const succeeded = results.filter(result => result.status === 'success').length;
+  const failed = results.filter(result => result.status === 'error').length;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          URLs *
+        </label>
+        <textarea
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          rows={8}
+          placeholder={'url,shortcode,validity\nhttps://example.com/spring-sale,spring,1440\nhttps://example.com/landing'}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          One URL per line, or CSV with url, optional shortcode and optional validity (minutes) columns
+        </p>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <label className="inline-flex items-center text-sm text-blue-600 hover:text-blue-700 cursor-pointer">
+          <Upload className="w-4 h-4 mr-2" />
+          Upload CSV
+          <input type="file" accept=".csv,text/csv,text/plain" onChange={handleFileUpload} className="hidden" />
+        </label>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+
+      <button
+        onClick={runBulk}
+        disabled={isRunning}
+        className={`w-full py-3 px-6 rounded-lg transition-colors font-medium ${
+          isRunning ? 'bg-gray-300 text-gray-600 cursor-not-allowed' : 'bg-blue-600 text-white hover:bg-blue-700'
+        }`}
+      >
+        {isRunning ? `Creating ${results.length} links...` : 'Create Short URLs'}
+      </button>
+
+      {results.length > 0 && (
+        <div>
+          <p className="text-sm text-gray-600 mb-2">
+            <span className="text-green-600 font-medium">{succeeded} created</span>
+            {', '}
+            <span className="text-red-600 font-medium">{failed} failed</span>
+          </p>
+          <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-96 overflow-y-auto">
+            {results.map((result, index) => (
+              <div key={index} className="flex items-center justify-between p-3 text-sm">
+                <div className="flex-1 min-w-0 mr-4">
+                  <p className="text-gray-500 text-xs">Line {result.line}</p>
+                  <p className="text-gray-800 truncate">{result.originalUrl || '(empty)'}</p>
+                </div>
+                {result.status === 'pending' && <span className="text-gray-400">Pending</span>}
+                {result.status === 'success' && <span className="text-blue-600 font-medium">{result.shortUrl}</span>}
+                {result.status === 'error' && <span className="text-red-600 text-right">{result.error}</span>}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkShortenForm;
@@ -0,0 +1,71 @@
+import { useMemo, useState } from 'react';
+import { bucketClicks, GRANULARITIES } from './analytics';
+import { formatBucketLabel } from './format';
+
+const MAX_BUCKETS = { hour: 24 * 14, day: 366 };
+
+const ClicksChart = ({ clicks, from, to, defaultGranularity = 'day' }) => {
+  const [granularity, setGranularity] = useState(defaultGranularity);
+
+  const buckets = useMemo(
+    () => bucketClicks(clicks, { granularity, from, to, maxBuckets: MAX_BUCKETS[granularity] }),
+    [clicks, granularity, from, to]
+  );
+
+  const maxCount = Math.max(1, ...buckets.map(bucket => bucket.count));
+  const total = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+  const isTruncated = buckets.length === MAX_BUCKETS[granularity] && buckets[0].start > from;
+  const labelIndexes = new Set([0, Math.floor((buckets.length - 1) / 2), buckets.length - 1]);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <p className="text-sm text-gray-600">
+          <span className="font-semibold text-gray-800">{total}</span> clicks
+          {isTruncated && ` (showing the last ${buckets.length} ${granularity}s)`}
+        </p>
+        <div className="bg-gray-100 rounded-lg p-1 text-xs">
+          {GRANULARITIES.map(option => (
+            <button
+              key={option}
+              onClick={() => setGranularity(option)}
+              className={`px-3 py-1 rounded-md transition-all ${
+                granularity === option ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:text-blue-600'
+              }`}
+            >
+              {option === 'hour' ? 'Hourly' : 'Daily'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {buckets.length === 0 ? (
+        <p className="text-center text-sm text-gray-500 py-8">No data for this range</p>
+      ) : (
+        <>
+          <div className="flex items-end h-40 gap-px border-b border-gray-200">
+            {buckets.map(bucket => (
+              <div
+                key={bucket.start.getTime()}
+                title={`${formatBucketLabel(bucket.start, granularity)}: ${bucket.count} clicks`}
+                className="flex-1 h-full flex items-end hover:bg-blue-50"
+              >
+                <div
+                  className="w-full bg-blue-500 rounded-t"
+                  style={{ height: `${(bucket.count / maxCount) * 100}%` }}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            {[...labelIndexes].map(index => (
+              <span key={index}>{formatBucketLabel(buckets[index].start, granularity)}</span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ClicksChart;
@@ -0,0 +1,95 @@
+import { Globe, Plus, Star, Trash2 } from 'lucide-react';
+import { useState } from 'react';
+import { normalizeDomain, validateDomain } from './shortener';
+
+const DomainSettings = ({ registry, urls, onAdd, onRemove, onSetDefault }) => {
+  const [newDomain, setNewDomain] = useState('');
+  const [error, setError] = useState(null);
+
+  const linkCounts = urls.reduce((counts, url) => ({ ...counts, [url.domain]: (counts[url.domain] || 0) + 1 }), {});
+
+  const run = (action) => {
+    setError(null);
+    return action().catch(err => setError(err.message));
+  };
+
+  const addDomain = () => {
+    const validationError = validateDomain(newDomain);
+    if (validationError) {
+      setError(validationError.message);
+      return;
+    }
+
+    if (registry.domains.includes(normalizeDomain(newDomain))) {
+      setError(`"${normalizeDomain(newDomain)}" is already registered`);
+      return;
+    }
+
+    run(() => onAdd(normalizeDomain(newDomain)).then(() => setNewDomain('')));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
+      <h3 className="text-xl font-semibold mb-6 text-gray-800">Short Domains</h3>
+
+      <div className="divide-y divide-gray-100 text-sm">
+        {registry.domains.map(domain => {
+          const isDefault = domain === registry.defaultDomain;
+
+          return (
+            <div key={domain} className="flex items-center justify-between py-2">
+              <div className="flex items-center space-x-2">
+                <Globe className="w-4 h-4 text-gray-400" />
+                <span className="font-medium text-gray-800">{domain}</span>
+                {isDefault && (
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-800">Default</span>
+                )}
+                <span className="text-gray-500">{linkCounts[domain] || 0} links</span>
+              </div>
+              <div className="flex items-center space-x-1">
+                {!isDefault && (
+                  <button
+                    onClick={() => run(() => onSetDefault(domain))}
+                    className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                    title="Make default"
+                  >
+                    <Star className="w-4 h-4" />
+                  </button>
+                )}
+                <button
+                  onClick={() => run(() => onRemove(domain))}
+                  disabled={isDefault || Boolean(linkCounts[domain])}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg disabled:text-gray-300 disabled:hover:bg-transparent disabled:cursor-not-allowed transition-colors"
+                  title={isDefault ? 'The default domain cannot be removed' : linkCounts[domain] ? 'Domain still has links' : 'Remove domain'}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center space-x-2 mt-4">
+        <input
+          type="text"
+          value={newDomain}
+          onChange={(e) => setNewDomain(e.target.value)}
+          placeholder="links.example.com"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          onClick={addDomain}
+          className="inline-flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add domain
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default DomainSettings;
@@ -0,0 +1,115 @@
+import { Check, X } from 'lucide-react';
+import { useState } from 'react';
+import { toDateTimeLocalValue } from './format';
+import { addMinutes, describeShortcodeRules, validateExpiresAt, validateOriginalUrl, validateShortcode } from './shortener';
+
+const EditUrlForm = ({ url, isShortcodeUnique, checkDestination, shortcodeRules, onSave, onCancel }) => {
+  const [originalUrl, setOriginalUrl] = useState(url.originalUrl);
+  const [shortcode, setShortcode] = useState(url.shortcode);
+  const [expiresAt, setExpiresAt] = useState(toDateTimeLocalValue(url.expiresAt));
+  const [error, setError] = useState(null);
+
+  const extendExpiry = (minutes) => {
+    const current = new Date(expiresAt);
+    const base = Number.isNaN(current.getTime()) ? url.expiresAt : current;
+    setExpiresAt(toDateTimeLocalValue(addMinutes(base, minutes)));
+  };
+
+  const handleSave = () => {
+    const updates = {};
+    const trimmedShortcode = shortcode.trim();
+
+    if (originalUrl.trim() !== url.originalUrl) {
+      updates.originalUrl = originalUrl.trim();
+    }
+
+    if (trimmedShortcode !== url.shortcode) {
+      updates.shortcode = trimmedShortcode;
+    }
+
+    if (expiresAt !== toDateTimeLocalValue(url.expiresAt)) {
+      updates.expiresAt = new Date(expiresAt);
+    }
+
+    const validationError = (updates.originalUrl !== undefined
+      && (validateOriginalUrl(updates.originalUrl) || checkDestination(updates.originalUrl)))
+      || (updates.shortcode !== undefined && validateShortcode(updates.shortcode, isShortcodeUnique, shortcodeRules))
+      || (updates.expiresAt !== undefined && validateExpiresAt(updates.expiresAt));
+
+    if (validationError) {
+      setError(validationError.message);
+      return;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      onCancel();
+      return;
+    }
+
+    setError(null);
+    onSave(updates).catch(err => setError(err.message));
+  };
+
+  return (
+    <div className="space-y-4 mb-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Original URL</label>
+        <input
+          type="url"
+          value={originalUrl}
+          onChange={(e) => setOriginalUrl(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Shortcode</label>
+          <input
+            type="text"
+            value={shortcode}
+            onChange={(e) => setShortcode(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <p className="text-xs text-gray-500 mt-1">{describeShortcodeRules(shortcodeRules)}</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Expires</label>
+          <input
+            type="datetime-local"
+            value={expiresAt}
+            onChange={(e) => setExpiresAt(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <div className="flex items-center space-x-2 mt-1 text-xs">
+            <button onClick={() => extendExpiry(60)} className="text-blue-600 hover:underline">+1 hour</button>
+            <button onClick={() => extendExpiry(24 * 60)} className="text-blue-600 hover:underline">+1 day</button>
+            <button onClick={() => extendExpiry(7 * 24 * 60)} className="text-blue-600 hover:underline">+1 week</button>
+          </div>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={handleSave}
+          className="inline-flex items-center bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+        >
+          <Check className="w-4 h-4 mr-1" />
+          Save
+        </button>
+        <button
+          onClick={onCancel}
+          className="inline-flex items-center px-4 py-2 rounded-lg text-gray-600 hover:bg-gray-100 transition-colors text-sm"
+        >
+          <X className="w-4 h-4 mr-1" />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EditUrlForm;
@@ -0,0 +1,94 @@
+import { Bell, Clock, Settings } from 'lucide-react';
+import { useState } from 'react';
+import { formatDuration, parseThresholds } from './expiry';
+
+const MAX_LISTED = 5;
+
+const ExpiryWarnings = ({ warnings, thresholds, onThresholdsChange, notificationPermission, onEnableNotifications }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(thresholds.join(', '));
+  const [error, setError] = useState(null);
+
+  const saveThresholds = () => {
+    const parsed = parseThresholds(draft);
+
+    if (!parsed) {
+      setError('Enter minutes as positive whole numbers, separated by commas');
+      return;
+    }
+
+    setError(null);
+    setIsEditing(false);
+    onThresholdsChange(parsed);
+  };
+
+  return (
+    <div className={`rounded-xl shadow-lg p-6 mb-8 ${warnings.length > 0 ? 'bg-yellow-50 border border-yellow-300' : 'bg-white'}`}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <Clock className={`w-5 h-5 mr-2 ${warnings.length > 0 ? 'text-yellow-600' : 'text-gray-400'}`} />
+          <p className="text-gray-800">
+            {warnings.length > 0
+              ? <><span className="font-semibold">{warnings.length}</span> {warnings.length === 1 ? 'link expires' : 'links expire'} soon</>
+              : 'No links expiring soon'}
+          </p>
+        </div>
+        <div className="flex items-center space-x-3 text-sm">
+          {notificationPermission === 'default' && (
+            <button onClick={onEnableNotifications} className="inline-flex items-center text-blue-600 hover:underline">
+              <Bell className="w-4 h-4 mr-1" />
+              Enable notifications
+            </button>
+          )}
+          <button
+            onClick={() => {
+              setDraft(thresholds.join(', '));
+              setIsEditing(!isEditing);
+            }}
+            className="inline-flex items-center text-gray-600 hover:text-blue-600"
+          >
+            <Settings className="w-4 h-4 mr-1" />
+            Warn at {thresholds.map(formatDuration).join(', ')}
+          </button>
+        </div>
+      </div>
+
+      {isEditing && (
+        <div className="mt-4 text-sm">
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              className="w-64 px-3 py-1 border border-gray-300 rounded-lg"
+            />
+            <span className="text-gray-600">minutes before expiry</span>
+            <button
+              onClick={saveThresholds}
+              className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Save
+            </button>
+          </div>
+          {error && <p className="text-red-600 mt-1">{error}</p>}
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <ul className="mt-4 space-y-1 text-sm">
+          {warnings.slice(0, MAX_LISTED).map(({ url, minutesLeft }) => (
+            <li key={url.id} className="flex items-center justify-between">
+              <span className="text-blue-600 font-medium truncate mr-4">{url.shortUrl}</span>
+              <span className="text-yellow-700 whitespace-nowrap">in {formatDuration(minutesLeft)}</span>
+            </li>
+          ))}
+          {warnings.length > MAX_LISTED && (
+            <li className="text-gray-500">and {warnings.length - MAX_LISTED} more</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExpiryWarnings;
@@ -1,156 +1,318 @@
-import { BarChart3, Clock, Copy, ExternalLink, Eye, Link, Plus, Trash2 } from 'lucide-react';
-import { useEffect, useState } from 'react';
-
-
-const logger = {
-  info: (message, data = {}) => {
-    const timestamp = new Date().toISOString();
-    console.log(`[INFO] ${timestamp}: ${message}`, data);
-  },
-  warn: (message, data = {}) => {
-    const timestamp = new Date().toISOString();
-    console.warn(`[WARN] ${timestamp}: ${message}`, data);
-  },
-  error: (message, data = {}) => {
-    const timestamp = new Date().toISOString();
-    console.error(`[ERROR] ${timestamp}: ${message}`, data);
-  }
-};
+import { Archive, BarChart3, Clock, Copy, ExternalLink, Eye, Link, LogOut, Pencil, Plus, QrCode, Trash2, Users } from 'lucide-react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { canCreateUrls, canManageUrl, isAdmin } from './accounts';
+import ActivityLog from './ActivityLog';
+import { allClicks, groupByCampaign, humanClicks, summarizeUrls, topUrls } from './analytics';
+import { api } from './api';
+import ArchivedUrls from './ArchivedUrls';
+import AuthForm from './AuthForm';
+import BreakdownTables from './BreakdownTables';
+import BulkActionBar from './BulkActionBar';
+import BulkShortenForm from './BulkShortenForm';
+import ClicksChart from './ClicksChart';
+import DomainSettings from './DomainSettings';
+import EditUrlForm from './EditUrlForm';
+import { expiringSoon, formatDuration, loadWarningThresholds, saveWarningThresholds } from './expiry';
+import ExpiryWarnings from './ExpiryWarnings';
+import { formatDate, toDateInputValue } from './format';
+import ImportExportPanel from './ImportExportPanel';
+import LinkAnalytics from './LinkAnalytics';
+import { logger } from './logger';
+import Pagination from './Pagination';
+import QrCodePanel from './QrCodePanel';
+import {
+  addMinutes,
+  appendUtmParams,
+  createUniquenessCheck,
+  DEFAULT_DOMAIN,
+  DEFAULT_SHORTCODE_RULES,
+  DEFAULT_VALIDITY_PERIOD,
+  describeShortcodeRules,
+  hasUtmParams,
+  isArchivable,
+  isArchived,
+  isClickLimitReached,
+  isExpired,
+  isUnavailable,
+  normalizeCampaign,
+  validateNewUrl
+} from './shortener';
+import StatusBadge from './StatusBadge';
+import UndoToast from './UndoToast';
+import UrlListControls from './UrlListControls';
+import UserManagement from './UserManagement';
+import { DEFAULT_QUERY, filterUrls, paginate, sortUrls } from './urlQuery';
+import { createDestinationChecker } from './urlSafety';
+import UtmBuilder from './UtmBuilder';
+
+const EMPTY_UTM = { source: '', medium: '', campaign: '' };
 
-const URLShortener = () => {
+const UNDO_WINDOW_MS = 8000;
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 1000;
+
+// The server only returns links the user may see, so every list and statistic
+// below is already scoped to the current user's role
+const URLShortener = ({ currentUser, onLogout }) => {
+  const canCreate = canCreateUrls(currentUser);
+  const canManage = (url) => canManageUrl(currentUser, url);
   const [urls, setUrls] = useState([]);
   const [originalUrl, setOriginalUrl] = useState('');
   const [customShortcode, setCustomShortcode] = useState('');
-  const [validityPeriod, setValidityPeriod] = useState(30);
-  const [activeTab, setActiveTab] = useState('shorten');
+  const [validityPeriod, setValidityPeriod] = useState(DEFAULT_VALIDITY_PERIOD);
+  const [activeTab, setActiveTab] = useState(canCreate ? 'shorten' : 'manage');
   const [copiedId, setCopiedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [shortenMode, setShortenMode] = useState('single');
+  const [utm, setUtm] = useState(EMPTY_UTM);
+  const [urlQuery, setUrlQuery] = useState(DEFAULT_QUERY);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(20);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [pendingAction, setPendingAction] = useState(null);
+  const pendingActionRef = useRef(null);
+  const [qrId, setQrId] = useState(null);
+  const [linkPassword, setLinkPassword] = useState('');
+  const [maxClicks, setMaxClicks] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [chartFrom, setChartFrom] = useState(() => toDateInputValue(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000)));
+  const [chartTo, setChartTo] = useState(() => toDateInputValue(new Date()));
+  const [now, setNow] = useState(() => new Date());
+  const [warningThresholds, setWarningThresholds] = useState(loadWarningThresholds);
+  const [notificationPermission, setNotificationPermission] = useState(
+    () => ('Notification' in window ? Notification.permission : 'unsupported')
+  );
+  const [listView, setListView] = useState('links');
+  const notifiedRef = useRef(new Set());
+  const [domainRegistry, setDomainRegistry] = useState({ domains: [DEFAULT_DOMAIN], defaultDomain: DEFAULT_DOMAIN });
+  const [selectedDomain, setSelectedDomain] = useState('');
+  const [users, setUsers] = useState([]);
+  const [shortcodeRules, setShortcodeRules] = useState(DEFAULT_SHORTCODE_RULES);
 
- 
-  const generateShortcode = () => {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    let result = '';
-    for (let i = 0; i < 6; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
+  useEffect(() => {
+    api.listUrls().then(loadedUrls => {
+      setUrls(loadedUrls);
+      logger.info('URLs loaded from API', { count: loadedUrls.length });
+    }).catch(err => {
+      logger.error('Failed to load URLs from API', { error: err.message });
+    }).finally(() => {
+      setIsLoading(false);
+    });
+
+    api.listDomains().then(setDomainRegistry).catch(err => {
+      logger.error('Failed to load domains from API', { error: err.message });
+    });
+
+    api.getConfig().then(config => setShortcodeRules(config.shortcodeRules)).catch(err => {
+      logger.error('Failed to load config from API', { error: err.message });
+    });
+
+    if (isAdmin(currentUser)) {
+      api.listUsers().then(setUsers).catch(err => {
+        logger.error('Failed to load users from API', { error: err.message });
+      });
     }
-    return result;
-  };
+  }, [currentUser]);
 
- 
-  const isShortcodeUnique = (shortcode) => {
-    return !urls.find(url => url.shortcode === shortcode);
-  };
+  const usernames = useMemo(() => new Map(users.map(user => [user.id, user.username])), [users]);
 
+  const activeDomain = domainRegistry.domains.includes(selectedDomain) ? selectedDomain : domainRegistry.defaultDomain;
 
-  const isValidUrl = (string) => {
-    try {
-      new URL(string);
-      return true;
-    } catch (_) {
-      return false;
+  // The server runs the same checks plus its configured domain blocklist
+  const checkDestination = useMemo(
+    () => createDestinationChecker({ ownHosts: domainRegistry.domains }),
+    [domainRegistry.domains]
+  );
+
+  const isLinkFree = useMemo(() => createUniquenessCheck(urls), [urls]);
+  const isShortcodeUnique = (shortcode, urlDomain = domainRegistry.defaultDomain) => isLinkFree(shortcode, urlDomain);
+
+
+  // Creates one link from the form; rejects with `{ code, message }` on failure
+  const submitShortUrl = ({
+    originalUrl,
+    shortcode,
+    validityPeriod,
+    utm = EMPTY_UTM,
+    password = '',
+    maxClicks = null,
+    domain = domainRegistry.defaultDomain
+  }) => {
+    logger.info('Attempting to create short URL', {
+      originalUrl,
+      domain,
+      shortcode,
+      validityPeriod,
+      utm,
+      isProtected: Boolean(password),
+      maxClicks
+    });
+
+    const campaign = normalizeCampaign(utm.campaign);
+    const validationError = validateNewUrl(
+      { originalUrl, shortcode, validityPeriod, campaign, password: password || null, maxClicks },
+      { isShortcodeUnique: code => isShortcodeUnique(code, domain), checkDestination, shortcodeRules }
+    );
+
+    if (validationError) {
+      logger.warn('URL creation failed - validation error', { ...validationError, originalUrl, shortcode });
+      return Promise.reject(validationError);
     }
+
+    const destination = hasUtmParams(utm) ? appendUtmParams(originalUrl, utm) : originalUrl;
+
+    return api.createUrl({
+      originalUrl: destination,
+      shortcode: shortcode || undefined,
+      validityPeriod,
+      campaign,
+      password: password || undefined,
+      maxClicks,
+      domain
+    }).then(newUrl => {
+      setUrls(prev => [newUrl, ...prev]);
+
+      logger.info('Short URL created successfully', { 
+        shortcode: newUrl.shortcode, 
+        originalUrl: newUrl.originalUrl,
+        expiresAt: newUrl.expiresAt 
+      });
+
+      return newUrl;
+    }).catch(err => {
+      logger.error('URL creation failed', { code: err.code, error: err.message });
+      throw err;
+    });
   };
 
 
-  const createShortUrl = () => {
-    logger.info('Attempting to create short URL', { originalUrl, customShortcode, validityPeriod });
+  // Bulk rows are checked here, then the valid ones are created in a single
+  // request; resolves to `{ url }` or `{ error }` per row, in order
+  const submitShortUrls = (rows, domain = domainRegistry.defaultDomain) => {
+    const errors = rows.map(({ originalUrl, shortcode, validityPeriod }) => validateNewUrl(
+      { originalUrl, shortcode, validityPeriod },
+      { isShortcodeUnique: code => isShortcodeUnique(code, domain), checkDestination, shortcodeRules }
+    ));
+    const valid = rows.filter((row, index) => !errors[index]);
 
-    if (!originalUrl.trim()) {
-      logger.warn('URL creation failed - empty URL');
-      alert('Please enter a URL');
-      return;
-    }
+    logger.info('Attempting to create short URLs in bulk', { count: rows.length, invalid: rows.length - valid.length, domain });
 
-    if (!isValidUrl(originalUrl)) {
-      logger.warn('URL creation failed - invalid URL format', { originalUrl });
-      alert('Please enter a valid URL');
-      return;
-    }
+    const creation = valid.length === 0 ? Promise.resolve([]) : api.createUrls(valid.map(row => ({
+      originalUrl: row.originalUrl,
+      shortcode: row.shortcode || undefined,
+      validityPeriod: row.validityPeriod,
+      domain
+    })));
 
-    let shortcode = customShortcode.trim();
-    
-    if (shortcode) {
-     
-      if (shortcode.length < 3 || shortcode.length > 20) {
-        logger.warn('Custom shortcode validation failed - invalid length', { shortcode });
-        alert('Custom shortcode must be between 3-20 characters');
-        return;
-      }
-      
-      if (!/^[a-zA-Z0-9]+$/.test(shortcode)) {
-        logger.warn('Custom shortcode validation failed - invalid characters', { shortcode });
-        alert('Custom shortcode can only contain letters and numbers');
-        return;
-      }
+    return creation.then(results => {
+      const newUrls = results.filter(result => result.url).map(result => result.url);
+      setUrls(prev => [...newUrls, ...prev]);
 
-      if (!isShortcodeUnique(shortcode)) {
-        logger.warn('Custom shortcode validation failed - not unique', { shortcode });
-        alert('This shortcode is already taken. Please choose another one.');
-        return;
-      }
-    } else {
-     
-      do {
-        shortcode = generateShortcode();
-      } while (!isShortcodeUnique(shortcode));
-    }
+      logger.info('Short URLs created in bulk', { created: newUrls.length, failed: rows.length - newUrls.length });
 
-    const newUrl = {
-      id: Date.now(),
-      originalUrl: originalUrl.trim(),
-      shortcode,
-      shortUrl: `https://short.ly/${shortcode}`,
-      createdAt: new Date(),
-      expiresAt: new Date(Date.now() + validityPeriod * 60 * 1000),
-      clicks: 0,
-      clickHistory: []
-    };
-
-    setUrls(prev => [newUrl, ...prev]);
-    setOriginalUrl('');
-    setCustomShortcode('');
-    setValidityPeriod(30);
-
-    logger.info('Short URL created successfully', { 
-      shortcode, 
-      originalUrl: newUrl.originalUrl,
-      expiresAt: newUrl.expiresAt 
+      let next = 0;
+      return errors.map(error => (error ? { error } : results[next++]));
+    }).catch(err => {
+      logger.error('Bulk URL creation failed', { code: err.code, error: err.message });
+      throw err;
+    });
+  };
+
+
+  const createShortUrl = () => {
+    submitShortUrl({
+      originalUrl,
+      shortcode: customShortcode.trim(),
+      validityPeriod,
+      utm,
+      password: linkPassword,
+      maxClicks: maxClicks === '' ? null : Number(maxClicks),
+      domain: activeDomain
+    }).then(() => {
+      setOriginalUrl('');
+      setCustomShortcode('');
+      setValidityPeriod(DEFAULT_VALIDITY_PERIOD);
+      setUtm(EMPTY_UTM);
+      setLinkPassword('');
+      setMaxClicks('');
+    }).catch(err => {
+      alert(err.message);
     });
   };
 
  
   const handleUrlClick = (url) => {
-    const now = new Date();
-    
-    if (now > url.expiresAt) {
+    if (isExpired(url)) {
       logger.warn('URL access attempt failed - expired', { shortcode: url.shortcode });
       alert('This shortened URL has expired');
       return;
     }
 
-    const clickData = {
-      timestamp: now,
-      userAgent: navigator.userAgent,
-      referrer: document.referrer || 'Direct'
-    };
-
-    setUrls(prev => prev.map(u => 
-      u.id === url.id 
-        ? { 
-            ...u, 
-            clicks: u.clicks + 1,
-            clickHistory: [...u.clickHistory, clickData]
-          }
-        : u
-    ));
+    if (isClickLimitReached(url)) {
+      logger.warn('URL access attempt failed - click limit reached', { shortcode: url.shortcode });
+      alert('This shortened URL has reached its click limit');
+      return;
+    }
+
+    let password;
+    if (url.isProtected) {
+      password = prompt('This link is password protected. Please enter the password:');
+      if (password === null) return;
+    }
+
+    // Open synchronously so the popup isn't blocked while the click is recorded.
+    // Protected links only navigate once the server has accepted the password.
+    const target = window.open(url.isProtected ? '' : url.originalUrl, '_blank');
+
+    api.recordClick(url.shortcode, {
+      referrer: document.referrer || 'Direct',
+      password
+    }, url.domain).then(() => {
+      if (url.isProtected && target) {
+        target.location.href = url.originalUrl;
+      }
+
+      // The clicks route only answers with the destination, so reload the stats
+      api.getUrl(url.shortcode, url.domain).then(updatedUrl => {
+        setUrls(prev => prev.map(u => (u.id === updatedUrl.id ? updatedUrl : u)));
+
+        logger.info('URL clicked', {
+          shortcode: url.shortcode,
+          totalClicks: updatedUrl.clicks,
+          originalUrl: url.originalUrl
+        });
+      }).catch(err => {
+        logger.error('Failed to refresh URL after click', { shortcode: url.shortcode, error: err.message });
+      });
+    }).catch(err => {
+      logger.error('Failed to record URL click', { shortcode: url.shortcode, code: err.code, error: err.message });
+
+      if (url.isProtected) {
+        target?.close();
+        alert(err.message);
+      }
+    });
+  };
 
-    logger.info('URL clicked', { 
-      shortcode: url.shortcode, 
-      totalClicks: url.clicks + 1,
-      originalUrl: url.originalUrl 
+ 
+  const changeUserRole = (user, role) => {
+    return api.updateUserRole(user.id, role).then(updated => {
+      setUsers(prev => prev.map(u => (u.id === updated.id ? updated : u)));
+      logger.info('User role changed', { username: updated.username, role });
+    }).catch(err => {
+      logger.warn('User role change failed', { username: user.username, code: err.code, error: err.message });
+      throw err;
     });
+  };
 
-   
-    window.open(url.originalUrl, '_blank');
+  const changeDomains = (request, message, changedDomain) => {
+    return request.then(registry => {
+      setDomainRegistry(registry);
+      logger.info(message, { domain: changedDomain });
+    }).catch(err => {
+      logger.warn('Domain change failed', { domain: changedDomain, code: err.code, error: err.message });
+      throw err;
+    });
   };
 
  
@@ -165,47 +327,247 @@ const URLShortener = () => {
   };
 
  
+  const updateUrl = (url, updates) => {
+    return api.updateUrl(url.shortcode, updates, url.domain).then(updatedUrl => {
+      setUrls(prev => prev.map(u => (u.id === updatedUrl.id ? updatedUrl : u)));
+      setEditingId(null);
+      logger.info('URL updated', { shortcode: url.shortcode, updates });
+    }).catch(err => {
+      logger.warn('URL update failed', { shortcode: url.shortcode, code: err.code, error: err.message });
+      throw err;
+    });
+  };
+
+ 
+  const importUrls = (records, overwrite) => {
+    return api.importUrls(records, overwrite).then(imported => {
+      return api.listUrls().then(loadedUrls => {
+        setUrls(loadedUrls);
+        logger.info('URLs imported', { count: imported.length, overwritten: overwrite.length });
+        return imported;
+      });
+    }).catch(err => {
+      logger.error('URL import failed', { code: err.code, error: err.message });
+      throw err;
+    });
+  };
+
+ 
   const deleteUrl = (id) => {
     const urlToDelete = urls.find(u => u.id === id);
-    setUrls(prev => prev.filter(u => u.id !== id));
-    logger.info('URL deleted', { shortcode: urlToDelete?.shortcode });
+    if (!urlToDelete) return;
+
+    api.deleteUrl(urlToDelete.shortcode, urlToDelete.domain).then(() => {
+      setUrls(prev => prev.filter(u => u.id !== id));
+      logger.info('URL deleted', { shortcode: urlToDelete.shortcode });
+    }).catch(err => {
+      logger.error('Failed to delete URL', { shortcode: urlToDelete.shortcode, error: err.message });
+      alert(err.message);
+    });
   };
 
+  // Bulk actions apply locally right away and only reach the server once the
+  // undo window has passed, so undoing never has to recreate deleted links
+  const commitPendingAction = () => {
+    const action = pendingActionRef.current;
+    if (!action) return Promise.resolve();
 
-  useEffect(() => {
-    const checkExpiredUrls = () => {
-      const now = new Date();
-      const expiredUrls = urls.filter(url => now > url.expiresAt);
-      if (expiredUrls.length > 0) {
-        logger.info('Expired URLs detected', { count: expiredUrls.length });
-      }
-    };
+    clearTimeout(action.timeoutId);
+    pendingActionRef.current = null;
+    setPendingAction(null);
+
+    return action.commit().catch(err => {
+      logger.error('Bulk action failed', { action: action.type, count: action.count, error: err.message });
+      alert(err.message);
+      api.listUrls().then(setUrls).catch(refreshErr => {
+        logger.warn('Failed to refresh URLs after bulk action', { error: refreshErr.message });
+      });
+    });
+  };
+
+  const scheduleAction = (action) => {
+    commitPendingAction();
+    action.apply();
+
+    pendingActionRef.current = { ...action, timeoutId: setTimeout(commitPendingAction, UNDO_WINDOW_MS) };
+    setPendingAction(pendingActionRef.current);
+  };
 
-    const interval = setInterval(checkExpiredUrls, 60000); // Check every minute
+  const undoPendingAction = () => {
+    const action = pendingActionRef.current;
+    if (!action) return;
+
+    clearTimeout(action.timeoutId);
+    pendingActionRef.current = null;
+    setPendingAction(null);
+    action.revert();
+    logger.info('Bulk action undone', { action: action.type, count: action.count });
+  };
+
+  useEffect(() => commitPendingAction, []);
+
+  // A pending bulk action still needs the session to reach the server
+  const logout = () => {
+    commitPendingAction().finally(onLogout);
+  };
+
+  const deleteUrls = (targets, description) => {
+    if (!window.confirm(`Delete ${description}? This cannot be undone after a few seconds.`)) return;
+
+    const ids = new Set(targets.map(url => url.id));
+    const links = targets.map(({ domain, shortcode }) => ({ domain, shortcode }));
+
+    scheduleAction({
+      type: 'delete',
+      count: targets.length,
+      message: `Deleted ${targets.length} ${targets.length === 1 ? 'link' : 'links'}`,
+      apply: () => {
+        setUrls(prev => prev.filter(url => !ids.has(url.id)));
+        setSelectedIds(new Set());
+      },
+      revert: () => setUrls(prev => [...targets, ...prev]),
+      commit: () => api.deleteUrls(links).then(({ deleted }) => {
+        logger.info('URLs deleted', { count: deleted.length });
+      })
+    });
+  };
+
+  const extendUrls = (targets, minutes) => {
+    if (!window.confirm(`Extend the expiry of ${targets.length} links by ${minutes} minutes?`)) return;
+
+    const ids = new Set(targets.map(url => url.id));
+    const links = targets.map(({ domain, shortcode }) => ({ domain, shortcode }));
+    const shiftExpiry = (offset) => setUrls(prev => prev.map(url => (
+      ids.has(url.id) ? { ...url, expiresAt: addMinutes(url.expiresAt, offset) } : url
+    )));
+
+    scheduleAction({
+      type: 'extend',
+      count: targets.length,
+      message: `Extended ${targets.length} ${targets.length === 1 ? 'link' : 'links'} by ${minutes} minutes`,
+      apply: () => shiftExpiry(minutes),
+      revert: () => shiftExpiry(-minutes),
+      commit: () => api.extendUrls(links, minutes).then(updatedUrls => {
+        const updatedById = new Map(updatedUrls.map(url => [url.id, url]));
+        setUrls(prev => prev.map(url => updatedById.get(url.id) || url));
+        logger.info('URLs extended', { count: updatedUrls.length, minutes });
+      })
+    });
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const restoreUrl = (url) => {
+    updateUrl(url, {
+      archived: false,
+      expiresAt: addMinutes(new Date(), DEFAULT_VALIDITY_PERIOD)
+    }).catch(err => alert(err.message));
+  };
+
+  // A single clock drives expiry warnings and status badges; it doesn't depend on `urls`
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), EXPIRY_CHECK_INTERVAL_MS);
     return () => clearInterval(interval);
-  }, [urls]);
+  }, []);
 
-  const totalUrls = urls.length;
-  const totalClicks = urls.reduce((sum, url) => sum + url.clicks, 0);
-  const activeUrls = urls.filter(url => new Date() <= url.expiresAt).length;
-  const expiredUrls = totalUrls - activeUrls;
+  // The server archives links past their grace period; pick those changes up,
+  // unless a bulk action is still waiting for its undo window to close
+  useEffect(() => {
+    if (pendingActionRef.current || !urls.some(url => isArchivable(url, now))) return;
 
- 
-  const topUrls = [...urls]
-    .sort((a, b) => b.clicks - a.clicks)
-    .slice(0, 5);
-
-  const formatDate = (date) => {
-    return new Intl.DateTimeFormat('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    }).format(date);
+    api.listUrls().then(loadedUrls => {
+      setUrls(loadedUrls);
+      logger.info('Archived URLs refreshed', { archived: loadedUrls.filter(isArchived).length });
+    }).catch(err => {
+      logger.warn('Failed to refresh archived URLs', { error: err.message });
+    });
+  }, [now]);
+
+  const warnings = useMemo(
+    () => expiringSoon(urls, warningThresholds, now),
+    [urls, warningThresholds, now]
+  );
+
+  // Each link is announced once per threshold it crosses
+  useEffect(() => {
+    const fresh = warnings.filter(({ url, threshold }) => {
+      const key = `${url.id}:${threshold}:${url.expiresAt.getTime()}`;
+      if (notifiedRef.current.has(key)) return false;
+      notifiedRef.current.add(key);
+      return true;
+    });
+
+    if (fresh.length === 0) return;
+
+    logger.info('URLs expiring soon', { count: fresh.length });
+
+    if (notificationPermission !== 'granted') return;
+
+    if (fresh.length === 1) {
+      const [{ url, minutesLeft }] = fresh;
+      new Notification('Short link expiring soon', {
+        body: `${url.shortUrl} expires in ${formatDuration(minutesLeft)}`,
+        tag: `expiry-${url.id}`
+      });
+    } else {
+      new Notification('Short links expiring soon', {
+        body: `${fresh.length} links expire within ${formatDuration(Math.max(...fresh.map(w => w.threshold)))}`,
+        tag: 'expiry-summary'
+      });
+    }
+  }, [warnings, notificationPermission]);
+
+  const updateWarningThresholds = (thresholds) => {
+    saveWarningThresholds(thresholds);
+    setWarningThresholds(thresholds);
+  };
+
+  const enableNotifications = () => {
+    Notification.requestPermission().then(setNotificationPermission);
+  };
+
+  const { totalUrls, totalClicks, uniqueClicks, activeUrls, expiredUrls } = summarizeUrls(urls, now);
+  const topPerforming = topUrls(urls);
+
+  const campaigns = useMemo(() => groupByCampaign(urls), [urls]);
+  const liveUrls = useMemo(() => urls.filter(url => !isArchived(url)), [urls]);
+  const archivedUrls = useMemo(() => urls.filter(isArchived), [urls]);
+  const matchingUrls = useMemo(
+    () => sortUrls(filterUrls(liveUrls, urlQuery, now), urlQuery),
+    [liveUrls, urlQuery, now]
+  );
+  const urlPage = paginate(matchingUrls, page, pageSize);
+
+  const manageableUrls = liveUrls.filter(canManage);
+  const selectableUrls = matchingUrls.filter(canManage);
+  const selectedUrls = manageableUrls.filter(url => selectedIds.has(url.id));
+  const expiredLinks = manageableUrls.filter(url => isExpired(url, now));
+  const isAllSelected = selectableUrls.length > 0 && selectableUrls.every(url => selectedIds.has(url.id));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(isAllSelected ? new Set() : new Set(selectableUrls.map(url => url.id)));
   };
 
-  const isExpired = (url) => new Date() > url.expiresAt;
+  const updateUrlQuery = (changes) => {
+    setUrlQuery(prev => ({ ...prev, ...changes }));
+    setPage(1);
+  };
+
+  const clicks = useMemo(() => humanClicks(allClicks(urls)), [urls]);
+  const chartRange = useMemo(() => ({
+    from: new Date(`${chartFrom}T00:00:00`),
+    to: new Date(`${chartTo}T23:59:59.999`)
+  }), [chartFrom, chartTo]);
+  const isChartRangeValid = !Number.isNaN(chartRange.from.getTime())
+    && !Number.isNaN(chartRange.to.getTime())
+    && chartRange.from <= chartRange.to;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
@@ -217,22 +579,37 @@ const URLShortener = () => {
             <h1 className="text-4xl font-bold text-gray-800">URL Shortener</h1>
           </div>
           <p className="text-gray-600 text-lg">Create short, memorable links with detailed analytics</p>
+          <div className="flex items-center justify-center space-x-3 mt-4 text-sm text-gray-600">
+            <span>
+              Signed in as <span className="font-semibold text-gray-800">{currentUser.username}</span>
+            </span>
+            <span className="px-2 py-0.5 rounded-full text-xs bg-indigo-100 text-indigo-800">{currentUser.role}</span>
+            <button
+              onClick={logout}
+              className="inline-flex items-center text-gray-600 hover:text-blue-600 transition-colors"
+            >
+              <LogOut className="w-4 h-4 mr-1" />
+              Log out
+            </button>
+          </div>
         </div>
 
         {/* Tab Navigation */}
         <div className="flex justify-center mb-8">
           <div className="bg-white rounded-lg p-1 shadow-md">
-            <button
-              onClick={() => setActiveTab('shorten')}
-              className={`px-6 py-2 rounded-md transition-all ${
-                activeTab === 'shorten'
-                  ? 'bg-blue-600 text-white shadow-md'
-                  : 'text-gray-600 hover:text-blue-600'
-              }`}
-            >
-              <Plus className="w-4 h-4 inline mr-2" />
-              Shorten URL
-            </button>
+            {canCreate && (
+              <button
+                onClick={() => setActiveTab('shorten')}
+                className={`px-6 py-2 rounded-md transition-all ${
+                  activeTab === 'shorten'
+                    ? 'bg-blue-600 text-white shadow-md'
+                    : 'text-gray-600 hover:text-blue-600'
+                }`}
+              >
+                <Plus className="w-4 h-4 inline mr-2" />
+                Shorten URL
+              </button>
+            )}
             <button
               onClick={() => setActiveTab('manage')}
               className={`px-6 py-2 rounded-md transition-all ${
@@ -247,63 +624,130 @@ const URLShortener = () => {
           </div>
         </div>
 
-        {activeTab === 'shorten' && (
+        {activeTab === 'shorten' && canCreate && (
           <div className="max-w-2xl mx-auto">
             {/* URL Shortening Form */}
             <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
-              <h2 className="text-2xl font-semibold mb-6 text-gray-800">Create Short URL</h2>
-              
-              <div className="space-y-6">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Original URL *
-                  </label>
-                  <input
-                    type="url"
-                    value={originalUrl}
-                    onChange={(e) => setOriginalUrl(e.target.value)}
-                    placeholder="https://example.com/very-long-url"
-                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  />
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-semibold text-gray-800">Create Short URL</h2>
+                <div className="bg-gray-100 rounded-lg p-1 text-sm">
+                  {['single', 'bulk'].map(mode => (
+                    <button
+                      key={mode}
+                      onClick={() => setShortenMode(mode)}
+                      className={`px-3 py-1 rounded-md capitalize transition-all ${
+                        shortenMode === mode ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:text-blue-600'
+                      }`}
+                    >
+                      {mode}
+                    </button>
+                  ))}
                 </div>
+              </div>
+              
+              <div className="flex items-center space-x-2 mb-6 text-sm">
+                <label className="font-medium text-gray-700">Domain</label>
+                <select
+                  value={activeDomain}
+                  onChange={(e) => setSelectedDomain(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  {domainRegistry.domains.map(option => (
+                    <option key={option} value={option}>
+                      {option}{option === domainRegistry.defaultDomain ? ' (default)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
 
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {shortenMode === 'bulk' ? (
+                <BulkShortenForm onCreate={(rows) => submitShortUrls(rows, activeDomain)} />
+              ) : (
+                <div className="space-y-6">
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Custom Shortcode (Optional)
+                      Original URL *
                     </label>
                     <input
-                      type="text"
-                      value={customShortcode}
-                      onChange={(e) => setCustomShortcode(e.target.value)}
-                      placeholder="my-custom-code"
+                      type="url"
+                      value={originalUrl}
+                      onChange={(e) => setOriginalUrl(e.target.value)}
+                      placeholder="https://example.com/very-long-url"
                       className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     />
-                    <p className="text-xs text-gray-500 mt-1">3-20 characters, letters and numbers only</p>
                   </div>
 
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Validity Period (Minutes)
-                    </label>
-                    <input
-                      type="number"
-                      value={validityPeriod}
-                      onChange={(e) => setValidityPeriod(parseInt(e.target.value) || 30)}
-                      min="1"
-                      max="525600"
-                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    />
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Custom Shortcode (Optional)
+                      </label>
+                      <input
+                        type="text"
+                        value={customShortcode}
+                        onChange={(e) => setCustomShortcode(e.target.value)}
+                        placeholder="my-custom-code"
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">{describeShortcodeRules(shortcodeRules)}</p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Validity Period (Minutes)
+                      </label>
+                      <input
+                        type="number"
+                        value={validityPeriod}
+                        onChange={(e) => setValidityPeriod(parseInt(e.target.value) || DEFAULT_VALIDITY_PERIOD)}
+                        min="1"
+                        max="525600"
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
                   </div>
-                </div>
 
-                <button
-                  onClick={createShortUrl}
-                  className="w-full bg-blue-600 text-white py-3 px-6 rounded-lg hover:bg-blue-700 transition-colors font-medium"
-                >
-                  Create Short URL
-                </button>
-              </div>
+                  <UtmBuilder originalUrl={originalUrl} utm={utm} onChange={setUtm} />
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Password (Optional)
+                      </label>
+                      <input
+                        type="password"
+                        value={linkPassword}
+                        onChange={(e) => setLinkPassword(e.target.value)}
+                        autoComplete="new-password"
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Visitors must enter it before being redirected</p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Click Limit (Optional)
+                      </label>
+                      <input
+                        type="number"
+                        value={maxClicks}
+                        onChange={(e) => setMaxClicks(e.target.value)}
+                        min="1"
+                        placeholder="Unlimited"
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">The link stops working after this many clicks</p>
+                    </div>
+                  </div>
+
+                  <button
+                    onClick={createShortUrl}
+                    className="w-full bg-blue-600 text-white py-3 px-6 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+                  >
+                    Create Short URL
+                  </button>
+                </div>
+              )}
             </div>
 
             {/* Recent URLs */}
@@ -324,6 +768,13 @@ const URLShortener = () => {
                             >
                               <Copy className="w-4 h-4" />
                             </button>
+                            <button
+                              onClick={() => setQrId(qrId === url.id ? null : url.id)}
+                              className={`transition-colors ${qrId === url.id ? 'text-blue-600' : 'text-gray-400 hover:text-blue-600'}`}
+                              title="QR code"
+                            >
+                              <QrCode className="w-4 h-4" />
+                            </button>
                             {copiedId === url.id && (
                               <span className="text-green-600 text-sm">Copied!</span>
                             )}
@@ -333,9 +784,9 @@ const URLShortener = () => {
                           <span className="text-sm text-gray-500">{url.clicks} clicks</span>
                           <button
                             onClick={() => handleUrlClick(url)}
-                            disabled={isExpired(url)}
+                            disabled={isUnavailable(url)}
                             className={`p-2 rounded-lg transition-colors ${
-                              isExpired(url)
+                              isUnavailable(url)
                                 ? 'text-gray-400 cursor-not-allowed'
                                 : 'text-blue-600 hover:bg-blue-50'
                             }`}
@@ -346,10 +797,14 @@ const URLShortener = () => {
                       </div>
                       <div className="flex items-center justify-between text-xs text-gray-500">
                         <span>Created: {formatDate(url.createdAt)}</span>
-                        <span className={isExpired(url) ? 'text-red-500' : ''}>
-                          {isExpired(url) ? 'Expired' : `Expires: ${formatDate(url.expiresAt)}`}
-                        </span>
+                        {isUnavailable(url) ? (
+                          <StatusBadge url={url} />
+                        ) : (
+                          <span>Expires: {formatDate(url.expiresAt)}</span>
+                        )}
                       </div>
+
+                      {qrId === url.id && <QrCodePanel url={url} />}
                     </div>
                   ))}
                 </div>
@@ -360,8 +815,20 @@ const URLShortener = () => {
 
         {activeTab === 'manage' && (
           <div className="max-w-6xl mx-auto">
+            <ExpiryWarnings
+              warnings={warnings}
+              thresholds={warningThresholds}
+              onThresholdsChange={updateWarningThresholds}
+              notificationPermission={notificationPermission}
+              onEnableNotifications={enableNotifications}
+            />
+
             {/* Analytics Overview */}
-            <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+            <p className="text-sm text-gray-600 mb-4">
+              {currentUser.role === 'member' ? 'Showing links you created' : 'Showing links from every user'}.
+              {' '}Bot traffic is left out of the click counts.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-6 mb-8">
               <div className="bg-white rounded-xl shadow-lg p-6">
                 <div className="flex items-center justify-between">
                   <div>
@@ -382,6 +849,16 @@ const URLShortener = () => {
                 </div>
               </div>
 
+              <div className="bg-white rounded-xl shadow-lg p-6">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm text-gray-600">Unique Clicks</p>
+                    <p className="text-3xl font-bold text-green-600">{uniqueClicks}</p>
+                  </div>
+                  <Users className="w-12 h-12 text-green-600" />
+                </div>
+              </div>
+
               <div className="bg-white rounded-xl shadow-lg p-6">
                 <div className="flex items-center justify-between">
                   <div>
@@ -403,12 +880,80 @@ const URLShortener = () => {
               </div>
             </div>
 
+            {/* Clicks Over Time */}
+            <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <h3 className="text-xl font-semibold text-gray-800">Clicks Over Time</h3>
+                <div className="flex items-center space-x-2 text-sm">
+                  <input
+                    type="date"
+                    value={chartFrom}
+                    max={chartTo}
+                    onChange={(e) => setChartFrom(e.target.value)}
+                    className="px-3 py-1 border border-gray-300 rounded-lg"
+                  />
+                  <span className="text-gray-500">to</span>
+                  <input
+                    type="date"
+                    value={chartTo}
+                    min={chartFrom}
+                    onChange={(e) => setChartTo(e.target.value)}
+                    className="px-3 py-1 border border-gray-300 rounded-lg"
+                  />
+                </div>
+              </div>
+              {isChartRangeValid ? (
+                <ClicksChart clicks={clicks} from={chartRange.from} to={chartRange.to} />
+              ) : (
+                <p className="text-center text-sm text-red-600 py-8">Please choose a valid date range</p>
+              )}
+            </div>
+
+            {/* Traffic Breakdown */}
+            <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
+              <h3 className="text-xl font-semibold mb-6 text-gray-800">Traffic Breakdown</h3>
+              <BreakdownTables clicks={clicks} />
+            </div>
+
+            {/* Campaigns */}
+            {campaigns.some(group => group.campaign) && (
+              <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
+                <h3 className="text-xl font-semibold mb-6 text-gray-800">Campaigns</h3>
+                <table className="w-full text-sm">
+                  <thead className="text-left text-gray-600">
+                    <tr>
+                      <th className="pb-2 font-medium">Campaign</th>
+                      <th className="pb-2 font-medium text-right">Links</th>
+                      <th className="pb-2 font-medium text-right">Unique</th>
+                      <th className="pb-2 font-medium text-right">Clicks</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {campaigns.map(group => (
+                      <tr
+                        key={group.campaign ?? ''}
+                        onClick={() => updateUrlQuery({ campaign: group.campaign ?? '' })}
+                        className="cursor-pointer hover:bg-blue-50"
+                      >
+                        <td className={`py-2 ${group.campaign ? 'text-gray-800' : 'text-gray-500 italic'}`}>
+                          {group.campaign ?? 'No campaign'}
+                        </td>
+                        <td className="py-2 text-right text-gray-800">{group.links}</td>
+                        <td className="py-2 text-right text-gray-800">{group.uniqueClicks}</td>
+                        <td className="py-2 text-right font-semibold text-green-600">{group.clicks}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             {/* Top Performing URLs */}
-            {topUrls.length > 0 && (
+            {topPerforming.length > 0 && (
               <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
                 <h3 className="text-xl font-semibold mb-6 text-gray-800">Top Performing URLs</h3>
                 <div className="space-y-4">
-                  {topUrls.map((url, index) => (
+                  {topPerforming.map((url, index) => (
                     <div key={url.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
                       <div className="flex items-center space-x-4">
                         <div className="flex-shrink-0 w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
@@ -420,15 +965,15 @@ const URLShortener = () => {
                         </div>
                       </div>
                       <div className="flex items-center space-x-4">
+                        <div className="text-right">
+                          <p className="text-lg font-semibold text-gray-800">{url.uniqueClicks}</p>
+                          <p className="text-sm text-gray-500">unique</p>
+                        </div>
                         <div className="text-right">
                           <p className="text-lg font-semibold text-gray-800">{url.clicks}</p>
                           <p className="text-sm text-gray-500">clicks</p>
                         </div>
-                        <div className={`px-2 py-1 rounded-full text-xs ${
-                          isExpired(url) ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
-                        }`}>
-                          {isExpired(url) ? 'Expired' : 'Active'}
-                        </div>
+                        <StatusBadge url={url} />
                       </div>
                     </div>
                   ))}
@@ -436,112 +981,316 @@ const URLShortener = () => {
               </div>
             )}
 
+            {/* Export & Import */}
+            <ImportExportPanel
+              urls={urls}
+              isShortcodeUnique={isShortcodeUnique}
+              shortcodeRules={shortcodeRules}
+              onImport={canCreate ? importUrls : null}
+            />
+
+            {isAdmin(currentUser) && (
+              <>
+                <DomainSettings
+                  registry={domainRegistry}
+                  urls={urls}
+                  onAdd={(newDomain) => changeDomains(api.addDomain(newDomain), 'Domain added', newDomain)}
+                  onRemove={(oldDomain) => changeDomains(api.removeDomain(oldDomain), 'Domain removed', oldDomain)}
+                  onSetDefault={(newDefault) => changeDomains(api.setDefaultDomain(newDefault), 'Default domain changed', newDefault)}
+                />
+
+                <UserManagement users={users} currentUser={currentUser} onRoleChange={changeUserRole} />
+              </>
+            )}
+
             {/* All URLs Management */}
             <div className="bg-white rounded-xl shadow-lg p-8">
-              <h3 className="text-xl font-semibold mb-6 text-gray-800">All URLs</h3>
-              {urls.length === 0 ? (
-                <div className="text-center py-12">
-                  <Link className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-                  <p className="text-gray-500">No URLs created yet</p>
+              <div className="flex items-center justify-between mb-6">
+                <h3 className="text-xl font-semibold text-gray-800">All URLs</h3>
+                <div className="bg-gray-100 rounded-lg p-1 text-sm">
+                  <button
+                    onClick={() => setListView('links')}
+                    className={`px-3 py-1 rounded-md transition-all ${
+                      listView === 'links' ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:text-blue-600'
+                    }`}
+                  >
+                    Links
+                  </button>
                   <button
-                    onClick={() => setActiveTab('shorten')}
-                    className="mt-4 bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                    onClick={() => setListView('archived')}
+                    className={`px-3 py-1 rounded-md transition-all ${
+                      listView === 'archived' ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:text-blue-600'
+                    }`}
                   >
-                    Create Your First URL
+                    <Archive className="w-4 h-4 inline mr-1" />
+                    Archived ({archivedUrls.length})
                   </button>
                 </div>
+              </div>
+              {listView === 'archived' ? (
+                <ArchivedUrls
+                  urls={archivedUrls}
+                  canManage={canManage}
+                  onRestore={restoreUrl}
+                  onPurge={(targets) => deleteUrls(targets, `${targets.length} archived ${targets.length === 1 ? 'link' : 'links'}`)}
+                />
               ) : (
-                <div className="space-y-4">
-                  {urls.map((url) => (
-                    <div key={url.id} className="border border-gray-200 rounded-lg p-6">
-                      <div className="flex items-start justify-between mb-4">
-                        <div className="flex-1 min-w-0">
-                          <p className="text-sm text-gray-600 mb-1">Original URL:</p>
-                          <p className="text-gray-800 break-all mb-2">{url.originalUrl}</p>
-                          <div className="flex items-center space-x-2 mb-2">
-                            <p className="text-blue-600 font-medium">{url.shortUrl}</p>
-                            <button
-                              onClick={() => copyToClipboard(url.shortUrl, url.id)}
-                              className="text-gray-400 hover:text-blue-600 transition-colors"
-                            >
-                              <Copy className="w-4 h-4" />
-                            </button>
-                            {copiedId === url.id && (
-                              <span className="text-green-600 text-sm">Copied!</span>
-                            )}
-                          </div>
-                        </div>
-                        <div className="flex items-center space-x-2">
-                          <button
-                            onClick={() => handleUrlClick(url)}
-                            disabled={isExpired(url)}
-                            className={`p-2 rounded-lg transition-colors ${
-                              isExpired(url)
-                                ? 'text-gray-400 cursor-not-allowed'
-                                : 'text-blue-600 hover:bg-blue-50'
-                            }`}
-                            title="Open URL"
-                          >
-                            <ExternalLink className="w-4 h-4" />
-                          </button>
-                          <button
-                            onClick={() => deleteUrl(url.id)}
-                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                            title="Delete URL"
-                          >
-                            <Trash2 className="w-4 h-4" />
-                          </button>
-                        </div>
-                      </div>
+                <>
+                  {liveUrls.length > 0 && (
+                    <>
+                      <UrlListControls query={urlQuery} campaigns={campaigns} onChange={updateUrlQuery} />
+                      {manageableUrls.length > 0 && (
+                        <BulkActionBar
+                          selectedUrls={selectedUrls}
+                          expiredCount={expiredLinks.length}
+                          onDelete={() => deleteUrls(selectedUrls, `${selectedUrls.length} selected links`)}
+                          onExtend={(minutes) => extendUrls(selectedUrls, minutes)}
+                          onPurgeExpired={() => deleteUrls(expiredLinks, `all ${expiredLinks.length} expired links`)}
+                          onClear={() => setSelectedIds(new Set())}
+                        />
+                      )}
+                      {selectableUrls.length > 0 && (
+                        <label className="flex items-center space-x-2 mb-4 text-sm text-gray-600">
+                          <input type="checkbox" checked={isAllSelected} onChange={toggleSelectAll} />
+                          <span>Select all {selectableUrls.length} matching links</span>
+                        </label>
+                      )}
+                    </>
+                  )}
+                  {isLoading ? (
+                    <p className="text-center text-gray-500 py-12">Loading URLs...</p>
+                  ) : liveUrls.length === 0 ? (
+                    <div className="text-center py-12">
+                      <Link className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                      <p className="text-gray-500">{urls.length === 0 ? 'No URLs created yet' : 'All links are archived'}</p>
+                      {canCreate && (
+                        <button
+                          onClick={() => setActiveTab('shorten')}
+                          className="mt-4 bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                        >
+                          Create Your First URL
+                        </button>
+                      )}
+                    </div>
+                  ) : matchingUrls.length === 0 ? (
+                    <p className="text-center text-gray-500 py-12">No URLs match these filters</p>
+                  ) : (
+                    <div className="space-y-4">
+                      {urlPage.items.map((url) => (
+                        <div key={url.id} className="border border-gray-200 rounded-lg p-6">
+                          {editingId === url.id ? (
+                            <EditUrlForm
+                              url={url}
+                              isShortcodeUnique={(code) => isShortcodeUnique(code, url.domain)}
+                              checkDestination={checkDestination}
+                              shortcodeRules={shortcodeRules}
+                              onSave={(updates) => updateUrl(url, updates)}
+                              onCancel={() => setEditingId(null)}
+                            />
+                          ) : (
+                            <div className="flex items-start justify-between mb-4">
+                              {canManage(url) && (
+                                <input
+                                  type="checkbox"
+                                  checked={selectedIds.has(url.id)}
+                                  onChange={() => toggleSelected(url.id)}
+                                  className="mt-1 mr-4"
+                                  aria-label={`Select ${url.shortcode}`}
+                                />
+                              )}
+                              <div className="flex-1 min-w-0">
+                                <div className="flex items-center space-x-2 mb-1">
+                                  <p className="text-sm text-gray-600">Original URL:</p>
+                                  {url.campaign && (
+                                    <span className="px-2 py-0.5 rounded-full text-xs bg-indigo-100 text-indigo-800">
+                                      {url.campaign}
+                                    </span>
+                                  )}
+                                  {usernames.size > 0 && (
+                                    <span className="text-xs text-gray-500">
+                                      {url.ownerId ? `by ${usernames.get(url.ownerId) || 'a removed user'}` : 'no owner'}
+                                    </span>
+                                  )}
+                                </div>
+                                <p className="text-gray-800 break-all mb-2">{url.originalUrl}</p>
+                                <div className="flex items-center space-x-2 mb-2">
+                                  <p className="text-blue-600 font-medium">{url.shortUrl}</p>
+                                  <button
+                                    onClick={() => copyToClipboard(url.shortUrl, url.id)}
+                                    className="text-gray-400 hover:text-blue-600 transition-colors"
+                                  >
+                                    <Copy className="w-4 h-4" />
+                                  </button>
+                                  <button
+                                    onClick={() => setQrId(qrId === url.id ? null : url.id)}
+                                    className={`transition-colors ${qrId === url.id ? 'text-blue-600' : 'text-gray-400 hover:text-blue-600'}`}
+                                    title="QR code"
+                                  >
+                                    <QrCode className="w-4 h-4" />
+                                  </button>
+                                  {copiedId === url.id && (
+                                    <span className="text-green-600 text-sm">Copied!</span>
+                                  )}
+                                </div>
+                              </div>
+                              <div className="flex items-center space-x-2">
+                                <button
+                                  onClick={() => handleUrlClick(url)}
+                                  disabled={isUnavailable(url)}
+                                  className={`p-2 rounded-lg transition-colors ${
+                                    isUnavailable(url)
+                                      ? 'text-gray-400 cursor-not-allowed'
+                                      : 'text-blue-600 hover:bg-blue-50'
+                                  }`}
+                                  title="Open URL"
+                                >
+                                  <ExternalLink className="w-4 h-4" />
+                                </button>
+                                <button
+                                  onClick={() => setExpandedId(expandedId === url.id ? null : url.id)}
+                                  className={`p-2 rounded-lg transition-colors ${
+                                    expandedId === url.id ? 'bg-blue-50 text-blue-600' : 'text-gray-600 hover:bg-gray-100'
+                                  }`}
+                                  title="Show analytics"
+                                >
+                                  <BarChart3 className="w-4 h-4" />
+                                </button>
+                                {canManage(url) && (
+                                  <>
+                                    <button
+                                      onClick={() => setEditingId(url.id)}
+                                      className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                                      title="Edit URL"
+                                    >
+                                      <Pencil className="w-4 h-4" />
+                                    </button>
+                                    <button
+                                      onClick={() => deleteUrl(url.id)}
+                                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                      title="Delete URL"
+                                    >
+                                      <Trash2 className="w-4 h-4" />
+                                    </button>
+                                  </>
+                                )}
+                              </div>
+                            </div>
+                          )}
                       
-                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-                        <div>
-                          <p className="text-gray-500">Clicks</p>
-                          <p className="font-semibold text-green-600">{url.clicks}</p>
-                        </div>
-                        <div>
-                          <p className="text-gray-500">Created</p>
-                          <p className="font-medium">{formatDate(url.createdAt)}</p>
-                        </div>
-                        <div>
-                          <p className="text-gray-500">Expires</p>
-                          <p className={`font-medium ${isExpired(url) ? 'text-red-600' : 'text-gray-800'}`}>
-                            {formatDate(url.expiresAt)}
-                          </p>
-                        </div>
-                        <div>
-                          <p className="text-gray-500">Status</p>
-                          <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${
-                            isExpired(url) ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
-                          }`}>
-                            {isExpired(url) ? 'Expired' : 'Active'}
-                          </span>
-                        </div>
-                      </div>
+                          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                            <div>
+                              <p className="text-gray-500">Clicks</p>
+                              <p className="font-semibold text-green-600">
+                                {url.clicks}
+                                <span className="text-gray-500 font-normal"> ({url.uniqueClicks} unique)</span>
+                              </p>
+                              {url.maxClicks != null && (
+                                <p className="text-xs text-gray-500">{url.clickHistory.length} of {url.maxClicks} visits used</p>
+                              )}
+                            </div>
+                            <div>
+                              <p className="text-gray-500">Created</p>
+                              <p className="font-medium">{formatDate(url.createdAt)}</p>
+                            </div>
+                            <div>
+                              <p className="text-gray-500">Expires</p>
+                              <p className={`font-medium ${isExpired(url) ? 'text-red-600' : 'text-gray-800'}`}>
+                                {formatDate(url.expiresAt)}
+                              </p>
+                            </div>
+                            <div>
+                              <p className="text-gray-500">Status</p>
+                              <StatusBadge url={url} className="inline-flex font-medium" />
+                            </div>
+                          </div>
+
+                          {qrId === url.id && <QrCodePanel url={url} />}
 
-                      {url.clickHistory.length > 0 && (
-                        <div className="mt-4 pt-4 border-t border-gray-200">
-                          <p className="text-sm text-gray-600 mb-2">Recent Activity:</p>
-                          <div className="space-y-1">
-                            {url.clickHistory.slice(-3).reverse().map((click, index) => (
-                              <div key={index} className="flex items-center justify-between text-xs text-gray-500">
-                                <span>{formatDate(click.timestamp)}</span>
-                                <span>{click.referrer}</span>
+                          {expandedId === url.id ? (
+                            <LinkAnalytics url={url} />
+                          ) : url.clickHistory.length > 0 && (
+                            <div className="mt-4 pt-4 border-t border-gray-200">
+                              <p className="text-sm text-gray-600 mb-2">Recent Activity:</p>
+                              <div className="space-y-1">
+                                {url.clickHistory.slice(-3).reverse().map((click, index) => (
+                                  <div key={index} className="flex items-center justify-between text-xs text-gray-500">
+                                    <span>{formatDate(click.timestamp)}</span>
+                                    <span>{click.referrer}</span>
+                                  </div>
+                                ))}
                               </div>
-                            ))}
-                          </div>
+                            </div>
+                          )}
                         </div>
-                      )}
+                      ))}
                     </div>
-                  ))}
-                </div>
+                  )}
+                  {!isLoading && matchingUrls.length > 0 && (
+                    <Pagination
+                      page={urlPage.page}
+                      pageCount={urlPage.pageCount}
+                      pageSize={pageSize}
+                      total={matchingUrls.length}
+                      onPageChange={setPage}
+                      onPageSizeChange={(size) => {
+                        setPageSize(size);
+                        setPage(1);
+                      }}
+                    />
+                  )}
+                </>
               )}
             </div>
+
+            <ActivityLog />
           </div>
         )}
       </div>
+
+      {pendingAction && <UndoToast message={pendingAction.message} onUndo={undoPendingAction} />}
     </div>
   );
 };
 
-export default URLShortener;
\ No newline at end of file
+const Home = () => {
+  const [currentUser, setCurrentUser] = useState(null);
+  const [isCheckingSession, setIsCheckingSession] = useState(api.hasSession);
+
+  useEffect(() => {
+    api.onUnauthenticated(() => {
+      logger.warn('Session expired');
+      setCurrentUser(null);
+    });
+
+    if (!api.hasSession()) return;
+
+    api.getCurrentUser().then(setCurrentUser).catch(err => {
+      logger.warn('Could not restore session', { error: err.message });
+    }).finally(() => {
+      setIsCheckingSession(false);
+    });
+  }, []);
+
+  const logout = () => {
+    api.logout().then(() => {
+      logger.info('Logged out', { username: currentUser.username });
+    }).catch(err => {
+      logger.warn('Logout request failed', { error: err.message });
+    }).finally(() => {
+      setCurrentUser(null);
+    });
+  };
+
+  if (isCheckingSession) {
+    return <p className="text-center text-gray-500 py-12">Loading...</p>;
+  }
+
+  if (!currentUser) {
+    return <AuthForm onAuthenticated={setCurrentUser} />;
+  }
+
+  // Keyed by user so switching accounts starts from a clean slate
+  return <URLShortener key={currentUser.id} currentUser={currentUser} onLogout={logout} />;
+};
+
+export default Home;
\ No newline at end of file
@@ -0,0 +1,270 @@
+import { Download, Upload } from 'lucide-react';
+import { useState } from 'react';
+import { downloadFile } from './download';
+import { clicksToCsv, exportFilename, urlsToCsv, urlsToJson } from './exportData';
+import { linkKey, validatePassword, validateShortcode } from './shortener';
+import { deserializeUrls } from './storage';
+
+const suggestShortcode = (shortcode, isTaken, maxLength) => {
+  for (let n = 2; ; n++) {
+    const suffix = String(n);
+    const candidate = `${shortcode.slice(0, maxLength - suffix.length)}${suffix}`;
+    if (!isTaken(candidate)) return candidate;
+  }
+};
+
+const ImportExportPanel = ({ urls, isShortcodeUnique, shortcodeRules, onImport }) => {
+  const [pendingImport, setPendingImport] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const exportJson = () => {
+    downloadFile(exportFilename('links', 'json'), urlsToJson(urls), 'application/json');
+  };
+
+  const exportLinksCsv = () => {
+    downloadFile(exportFilename('links', 'csv'), urlsToCsv(urls), 'text/csv');
+  };
+
+  const exportClicksCsv = () => {
+    downloadFile(exportFilename('clicks', 'csv'), clicksToCsv(urls), 'text/csv');
+  };
+
+  const runImport = (records, overwrite) => {
+    onImport(records, overwrite).then(imported => {
+      setPendingImport(null);
+      setMessage({ type: 'success', text: `Imported ${imported.length} links` });
+    }).catch(err => {
+      const details = (err.details || []).map(detail => `${detail.shortcode ?? `#${detail.index + 1}`}: ${detail.message}`);
+      setMessage({ type: 'error', text: [err.message, ...details].join('\n') });
+    });
+  };
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    file.text().then(text => {
+      const records = deserializeUrls(text);
+      const conflicts = records.filter(record => !isShortcodeUnique(record.shortcode, record.domain));
+      const protectedIndexes = records.flatMap((record, index) => (record.isProtected ? [index] : []));
+
+      setMessage(null);
+
+      if (conflicts.length === 0 && protectedIndexes.length === 0) {
+        runImport(records, []);
+        return;
+      }
+
+      // Shortcodes are unique per domain, so conflicts and renames key on both
+      const taken = new Set([...urls, ...records].map(link => linkKey(link.domain, link.shortcode)));
+      setPendingImport({
+        records,
+        resolutions: Object.fromEntries(conflicts.map(record => {
+          const isTaken = (code) => taken.has(linkKey(record.domain, code));
+          const rename = suggestShortcode(record.shortcode, isTaken, shortcodeRules.maxLength);
+          taken.add(linkKey(record.domain, rename));
+          return [linkKey(record.domain, record.shortcode), { action: 'skip', rename }];
+        })),
+        // Exports only carry `isProtected`, so each protected link needs a new password
+        passwords: Object.fromEntries(protectedIndexes.map(index => [index, '']))
+      });
+    }).catch(err => {
+      setMessage({ type: 'error', text: `Could not import ${file.name}: ${err.message}` });
+    });
+  };
+
+  const updateResolution = (key, changes) => {
+    setPendingImport(prev => ({
+      ...prev,
+      resolutions: { ...prev.resolutions, [key]: { ...prev.resolutions[key], ...changes } }
+    }));
+  };
+
+  const updatePassword = (index, password) => {
+    setPendingImport(prev => ({ ...prev, passwords: { ...prev.passwords, [index]: password } }));
+  };
+
+  const applyToAll = (action) => {
+    setPendingImport(prev => ({
+      ...prev,
+      resolutions: Object.fromEntries(
+        Object.entries(prev.resolutions).map(([key, resolution]) => [key, { ...resolution, action }])
+      )
+    }));
+  };
+
+  const confirmImport = () => {
+    const { records, resolutions, passwords } = pendingImport;
+    const overwrite = [];
+    const resolved = [];
+
+    for (const [index, rawRecord] of records.entries()) {
+      const resolution = resolutions[linkKey(rawRecord.domain, rawRecord.shortcode)];
+      const password = passwords[index];
+      const passwordError = password !== undefined && resolution?.action !== 'skip' && validatePassword(password);
+
+      if (passwordError) {
+        setMessage({ type: 'error', text: `${rawRecord.shortcode}: ${passwordError.message}` });
+        return;
+      }
+
+      const record = password === undefined ? rawRecord : { ...rawRecord, password };
+
+      if (!resolution) {
+        resolved.push(record);
+      } else if (resolution.action === 'overwrite') {
+        overwrite.push({ domain: record.domain, shortcode: record.shortcode });
+        resolved.push(record);
+      } else if (resolution.action === 'rename') {
+        const otherLinks = resolved.map(r => linkKey(r.domain, r.shortcode));
+        const error = validateShortcode(
+          resolution.rename,
+          code => isShortcodeUnique(code, record.domain) && !otherLinks.includes(linkKey(record.domain, code)),
+          shortcodeRules
+        );
+
+        if (error) {
+          setMessage({ type: 'error', text: `${record.shortcode}: ${error.message}` });
+          return;
+        }
+
+        resolved.push({ ...record, shortcode: resolution.rename });
+      }
+    }
+
+    runImport(resolved, overwrite);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
+      <h3 className="text-xl font-semibold mb-6 text-gray-800">Export & Import</h3>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={exportJson}
+          disabled={urls.length === 0}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Links (JSON)
+        </button>
+        <button
+          onClick={exportLinksCsv}
+          disabled={urls.length === 0}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Links (CSV)
+        </button>
+        <button
+          onClick={exportClicksCsv}
+          disabled={urls.length === 0}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Clicks (CSV)
+        </button>
+        {onImport && (
+          <label className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 cursor-pointer transition-colors">
+            <Upload className="w-4 h-4 mr-2" />
+            Import JSON
+            <input type="file" accept=".json,application/json" onChange={handleFileUpload} className="hidden" />
+          </label>
+        )}
+      </div>
+
+      {message && (
+        <p className={`mt-4 text-sm whitespace-pre-line ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+          {message.text}
+        </p>
+      )}
+
+      {pendingImport && (
+        <div className="mt-6 border border-yellow-300 bg-yellow-50 rounded-lg p-4">
+          {Object.keys(pendingImport.resolutions).length > 0 && (
+            <>
+              <div className="flex items-center justify-between mb-4">
+                <p className="text-sm text-gray-800">
+                  {Object.keys(pendingImport.resolutions).length} of {pendingImport.records.length} shortcodes already exist.
+                </p>
+                <div className="flex items-center space-x-2 text-xs">
+                  <span className="text-gray-600">Apply to all:</span>
+                  {['skip', 'overwrite', 'rename'].map(action => (
+                    <button key={action} onClick={() => applyToAll(action)} className="text-blue-600 hover:underline capitalize">
+                      {action}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="space-y-2 max-h-64 overflow-y-auto">
+                {Object.entries(pendingImport.resolutions).map(([key, resolution]) => (
+                  <div key={key} className="flex items-center space-x-3 text-sm">
+                    <span className="w-40 font-medium text-gray-800 truncate" title={key}>{key}</span>
+                    <select
+                      value={resolution.action}
+                      onChange={(e) => updateResolution(key, { action: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded-lg"
+                    >
+                      <option value="skip">Skip</option>
+                      <option value="overwrite">Overwrite</option>
+                      <option value="rename">Rename</option>
+                    </select>
+                    {resolution.action === 'rename' && (
+                      <input
+                        type="text"
+                        value={resolution.rename}
+                        onChange={(e) => updateResolution(key, { rename: e.target.value.trim() })}
+                        className="px-2 py-1 border border-gray-300 rounded-lg"
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          {Object.keys(pendingImport.passwords).length > 0 && (
+            <div className="mt-4">
+              <p className="text-sm text-gray-800 mb-2">
+                Password protection is not exported. Enter a new password for each protected link:
+              </p>
+              <div className="space-y-2 max-h-64 overflow-y-auto">
+                {Object.entries(pendingImport.passwords).map(([index, password]) => (
+                  <div key={index} className="flex items-center space-x-3 text-sm">
+                    <span className="w-40 font-medium text-gray-800 truncate">{pendingImport.records[index].shortcode}</span>
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(e) => updatePassword(index, e.target.value)}
+                      autoComplete="new-password"
+                      className="px-2 py-1 border border-gray-300 rounded-lg"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex items-center space-x-2 mt-4">
+            <button
+              onClick={confirmImport}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+            >
+              Import
+            </button>
+            <button
+              onClick={() => setPendingImport(null)}
+              className="px-4 py-2 rounded-lg text-gray-600 hover:bg-gray-100 transition-colors text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportExportPanel;
@@ -0,0 +1,61 @@
+import { useMemo } from 'react';
+import { clickRange, humanClicks } from './analytics';
+import BreakdownTables from './BreakdownTables';
+import ClicksChart from './ClicksChart';
+import { formatDate } from './format';
+
+const LinkAnalytics = ({ url }) => {
+  const visits = useMemo(() => humanClicks(url.clickHistory), [url]);
+  const { from, to } = useMemo(() => clickRange(visits, url.createdAt), [visits, url]);
+  const botCount = url.clickHistory.length - visits.length;
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 space-y-6">
+      <div>
+        <p className="text-sm text-gray-600 mb-2">Clicks Over Time:</p>
+        <ClicksChart clicks={visits} from={from} to={to} defaultGranularity="hour" />
+      </div>
+
+      <div>
+        <p className="text-sm text-gray-600 mb-2">Traffic Breakdown:</p>
+        <BreakdownTables clicks={visits} />
+      </div>
+
+      <div>
+        <p className="text-sm text-gray-600 mb-2">
+          Click History ({url.clicks} clicks, {url.uniqueClicks} unique, {botCount} from bots):
+        </p>
+        {url.clickHistory.length === 0 ? (
+          <p className="text-xs text-gray-500">No clicks yet</p>
+        ) : (
+          <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg">
+            <table className="w-full text-xs text-left">
+              <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 font-medium">Time</th>
+                  <th className="px-3 py-2 font-medium">Referrer</th>
+                  <th className="px-3 py-2 font-medium">User Agent</th>
+                  <th className="px-3 py-2 font-medium">Visit</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 text-gray-500">
+                {[...url.clickHistory].reverse().map((click, index) => (
+                  <tr key={index}>
+                    <td className="px-3 py-1 whitespace-nowrap">{formatDate(click.timestamp)}</td>
+                    <td className="px-3 py-1 break-all">{click.referrer}</td>
+                    <td className="px-3 py-1 break-all">{click.userAgent}</td>
+                    <td className="px-3 py-1 whitespace-nowrap">
+                      {click.isBot ? 'Bot' : click.isUnique ? 'Unique' : 'Repeat'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LinkAnalytics;
@@ -0,0 +1,44 @@
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { PAGE_SIZES } from './urlQuery';
+
+const Pagination = ({ page, pageCount, pageSize, total, onPageChange, onPageSizeChange }) => {
+  const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, total);
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-3 mt-6 text-sm text-gray-600">
+      <p>
+        Showing <span className="font-medium text-gray-800">{first}-{last}</span> of{' '}
+        <span className="font-medium text-gray-800">{total}</span>
+      </p>
+      <div className="flex items-center space-x-2">
+        <select
+          value={pageSize}
+          onChange={(e) => onPageSizeChange(Number(e.target.value))}
+          className="px-2 py-1 border border-gray-300 rounded-lg"
+        >
+          {PAGE_SIZES.map(size => <option key={size} value={size}>{size} per page</option>)}
+        </select>
+        <button
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          className="p-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          title="Previous page"
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <span>Page {page} of {pageCount}</span>
+        <button
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= pageCount}
+          className="p-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          title="Next page"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,96 @@
+import { Download } from 'lucide-react';
+import QRCode from 'qrcode';
+import { useEffect, useState } from 'react';
+import { downloadFile } from './download';
+import { logger } from './logger';
+
+const SIZES = [128, 256, 512, 1024];
+const ERROR_CORRECTION_LEVELS = [
+  ['L', 'Low (7%)'],
+  ['M', 'Medium (15%)'],
+  ['Q', 'Quartile (25%)'],
+  ['H', 'High (30%)']
+];
+
+// Encoded locally with the `qrcode` package; the short URL never leaves the browser
+const QrCodePanel = ({ url }) => {
+  const [size, setSize] = useState(256);
+  const [errorCorrectionLevel, setErrorCorrectionLevel] = useState('M');
+  const [dataUrl, setDataUrl] = useState(null);
+
+  const options = { width: size, margin: 2, errorCorrectionLevel };
+
+  useEffect(() => {
+    QRCode.toDataURL(url.shortUrl, options).then(setDataUrl).catch(err => {
+      logger.error('Failed to generate QR code', { shortcode: url.shortcode, error: err.message });
+    });
+  }, [url.shortUrl, size, errorCorrectionLevel]);
+
+  const downloadPng = () => {
+    fetch(dataUrl).then(res => res.blob()).then(blob => {
+      downloadFile(`${url.shortcode}-qr.png`, blob);
+      logger.info('QR code downloaded', { shortcode: url.shortcode, format: 'png', size });
+    }).catch(err => {
+      logger.error('Failed to download QR code', { shortcode: url.shortcode, format: 'png', error: err.message });
+    });
+  };
+
+  const downloadSvg = () => {
+    QRCode.toString(url.shortUrl, { ...options, type: 'svg' }).then(svg => {
+      downloadFile(`${url.shortcode}-qr.svg`, svg, 'image/svg+xml');
+      logger.info('QR code downloaded', { shortcode: url.shortcode, format: 'svg', size });
+    }).catch(err => {
+      logger.error('Failed to generate QR code', { shortcode: url.shortcode, error: err.message });
+    });
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 flex flex-col md:flex-row md:items-start gap-6">
+      <div className="w-40 h-40 flex-shrink-0 border border-gray-200 rounded-lg flex items-center justify-center bg-white">
+        {dataUrl && <img src={dataUrl} alt={`QR code for ${url.shortUrl}`} className="w-full h-full" />}
+      </div>
+
+      <div className="space-y-3 text-sm">
+        <div className="flex items-center space-x-2">
+          <label className="w-32 text-gray-600">Size</label>
+          <select
+            value={size}
+            onChange={(e) => setSize(Number(e.target.value))}
+            className="px-2 py-1 border border-gray-300 rounded-lg"
+          >
+            {SIZES.map(option => <option key={option} value={option}>{option} x {option} px</option>)}
+          </select>
+        </div>
+        <div className="flex items-center space-x-2">
+          <label className="w-32 text-gray-600">Error correction</label>
+          <select
+            value={errorCorrectionLevel}
+            onChange={(e) => setErrorCorrectionLevel(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-lg"
+          >
+            {ERROR_CORRECTION_LEVELS.map(([level, label]) => <option key={level} value={level}>{label}</option>)}
+          </select>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={downloadPng}
+            disabled={!dataUrl}
+            className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            PNG
+          </button>
+          <button
+            onClick={downloadSvg}
+            className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            SVG
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QrCodePanel;
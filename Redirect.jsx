@@ -0,0 +1,129 @@
+import { Clock, Link, Lock } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { api } from './api';
+import { logger } from './logger';
+
+const shortcodeFromPath = () => decodeURIComponent(window.location.pathname.replace(/^\/+|\/+$/g, ''));
+
+const ERROR_PAGES = {
+  'not-found': {
+    icon: Link,
+    status: 404,
+    title: 'Short URL not found',
+    message: (shortcode) => <>No link exists for <span className="font-medium">{shortcode}</span>.</>
+  },
+  expired: {
+    icon: Clock,
+    status: 410,
+    title: 'Short URL expired',
+    message: (shortcode) => <>The link <span className="font-medium">{shortcode}</span> is no longer available.</>
+  },
+  'limit-reached': {
+    icon: Clock,
+    status: 410,
+    title: 'Short URL unavailable',
+    message: (shortcode) => <>The link <span className="font-medium">{shortcode}</span> has reached its click limit.</>
+  }
+};
+
+const ERROR_STATUSES = {
+  EXPIRED: 'expired',
+  CLICK_LIMIT_REACHED: 'limit-reached',
+  PASSWORD_REQUIRED: 'password',
+  INCORRECT_PASSWORD: 'password',
+  RATE_LIMITED: 'password'
+};
+
+// Client-side handler for the `/:shortcode` route
+const Redirect = ({ shortcode = shortcodeFromPath() }) => {
+  const [status, setStatus] = useState('resolving');
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState(null);
+
+  const resolve = (password) => {
+    api.recordClick(shortcode, {
+      referrer: document.referrer || 'Direct',
+      password
+    }, window.location.hostname).then(({ originalUrl }) => {
+      logger.info('Redirecting short URL', { shortcode, originalUrl });
+
+      window.location.replace(originalUrl);
+    }).catch(err => {
+      const nextStatus = ERROR_STATUSES[err.code] || 'not-found';
+
+      logger.warn('Redirect failed', { shortcode, code: err.code, error: err.message });
+      setPasswordError(['INCORRECT_PASSWORD', 'RATE_LIMITED'].includes(err.code) ? err.message : null);
+      setStatus(nextStatus);
+    });
+  };
+
+  useEffect(() => {
+    resolve();
+  }, [shortcode]);
+
+  const submitPassword = (e) => {
+    e.preventDefault();
+    setStatus('resolving');
+    resolve(password);
+  };
+
+  if (status === 'resolving') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+        <p className="text-gray-600 text-lg">Redirecting...</p>
+      </div>
+    );
+  }
+
+  if (status === 'password') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+        <form onSubmit={submitPassword} className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full text-center">
+          <Lock className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h1 className="text-2xl font-semibold text-gray-800 mb-4">Password required</h1>
+          <p className="text-gray-600 mb-6">
+            The link <span className="font-medium">{shortcode}</span> is password protected.
+          </p>
+          {passwordError && <p className="text-sm text-red-600 mb-4">{passwordError}</p>}
+          <div className="flex space-x-2">
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoFocus
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Continue
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
+  const page = ERROR_PAGES[status];
+  const Icon = page.icon;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+      <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full text-center">
+        <Icon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+        <p className="text-5xl font-bold text-gray-800 mb-2">{page.status}</p>
+        <h1 className="text-2xl font-semibold text-gray-800 mb-4">{page.title}</h1>
+        <p className="text-gray-600 mb-6">{page.message(shortcode)}</p>
+        <a
+          href="/"
+          className="inline-block bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          Go to URL Shortener
+        </a>
+      </div>
+    </div>
+  );
+};
+
+export default Redirect;
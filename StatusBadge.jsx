@@ -0,0 +1,20 @@
+import { getUrlStatus } from './shortener';
+
+const STATUSES = {
+  active: { label: 'Active', className: 'bg-green-100 text-green-800' },
+  locked: { label: 'Locked', className: 'bg-yellow-100 text-yellow-800' },
+  'limit-reached': { label: 'Limit reached', className: 'bg-orange-100 text-orange-800' },
+  expired: { label: 'Expired', className: 'bg-red-100 text-red-800' }
+};
+
+const StatusBadge = ({ url, className = '' }) => {
+  const status = STATUSES[getUrlStatus(url)];
+
+  return (
+    <span className={`px-2 py-1 rounded-full text-xs ${status.className} ${className}`}>
+      {status.label}
+    </span>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,13 @@
+import { RotateCcw } from 'lucide-react';
+
+const UndoToast = ({ message, onUndo }) => (
+  <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center space-x-4 bg-gray-800 text-white px-5 py-3 rounded-lg shadow-lg text-sm">
+    <span>{message}</span>
+    <button onClick={onUndo} className="inline-flex items-center font-medium text-blue-300 hover:text-blue-200">
+      <RotateCcw className="w-4 h-4 mr-1" />
+      Undo
+    </button>
+  </div>
+);
+
+export default UndoToast;
@@ -0,0 +1,115 @@
+import { ArrowDown, ArrowUp, Search, X } from 'lucide-react';
+import { DEFAULT_QUERY, SORT_OPTIONS, STATUS_FILTERS } from './urlQuery';
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const UrlListControls = ({ query, campaigns, onChange }) => {
+  const isFiltered = Object.keys(DEFAULT_QUERY)
+    .some(key => !key.startsWith('sort') && query[key] !== DEFAULT_QUERY[key]);
+
+  return (
+    <div className="space-y-3 mb-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="relative flex-1 min-w-[16rem]">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={query.search}
+            onChange={(e) => onChange({ search: e.target.value })}
+            placeholder="Search by URL or shortcode"
+            className={`w-full pl-9 ${inputClassName}`}
+          />
+        </div>
+        <select
+          value={query.status}
+          onChange={(e) => onChange({ status: e.target.value })}
+          className={inputClassName}
+        >
+          {Object.entries(STATUS_FILTERS).map(([status, filter]) => (
+            <option key={status} value={status}>{filter.label}</option>
+          ))}
+        </select>
+        {campaigns.some(group => group.campaign) && (
+          <select
+            value={query.campaign ?? '__all__'}
+            onChange={(e) => onChange({ campaign: e.target.value === '__all__' ? null : e.target.value })}
+            className={inputClassName}
+          >
+            <option value="__all__">All campaigns</option>
+            {campaigns.map(group => (
+              <option key={group.campaign ?? ''} value={group.campaign ?? ''}>
+                {group.campaign ?? 'No campaign'}
+              </option>
+            ))}
+          </select>
+        )}
+        <div className="flex items-center space-x-1">
+          <select
+            value={query.sortBy}
+            onChange={(e) => onChange({ sortBy: e.target.value })}
+            className={inputClassName}
+          >
+            {SORT_OPTIONS.map(([sortBy, label]) => <option key={sortBy} value={sortBy}>Sort: {label}</option>)}
+          </select>
+          <button
+            onClick={() => onChange({ sortDirection: query.sortDirection === 'asc' ? 'desc' : 'asc' })}
+            className="p-2 border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50 transition-colors"
+            title={query.sortDirection === 'asc' ? 'Ascending' : 'Descending'}
+          >
+            {query.sortDirection === 'asc' ? <ArrowUp className="w-4 h-4" /> : <ArrowDown className="w-4 h-4" />}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <label className="flex items-center space-x-2">
+          <span>Created</span>
+          <input
+            type="date"
+            value={query.createdFrom}
+            onChange={(e) => onChange({ createdFrom: e.target.value })}
+            className={inputClassName}
+          />
+          <span>to</span>
+          <input
+            type="date"
+            value={query.createdTo}
+            onChange={(e) => onChange({ createdTo: e.target.value })}
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>Clicks</span>
+          <input
+            type="number"
+            min="0"
+            value={query.minClicks}
+            onChange={(e) => onChange({ minClicks: e.target.value })}
+            placeholder="Min"
+            className={`w-24 ${inputClassName}`}
+          />
+          <span>to</span>
+          <input
+            type="number"
+            min="0"
+            value={query.maxClicks}
+            onChange={(e) => onChange({ maxClicks: e.target.value })}
+            placeholder="Max"
+            className={`w-24 ${inputClassName}`}
+          />
+        </label>
+        {isFiltered && (
+          <button
+            onClick={() => onChange({ ...DEFAULT_QUERY, sortBy: query.sortBy, sortDirection: query.sortDirection })}
+            className="inline-flex items-center text-blue-600 hover:underline"
+          >
+            <X className="w-4 h-4 mr-1" />
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UrlListControls;
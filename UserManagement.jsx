@@ -0,0 +1,63 @@
+import { Users } from 'lucide-react';
+import { useState } from 'react';
+import { ROLES } from './accounts';
+import { formatDate } from './format';
+
+const UserManagement = ({ users, currentUser, onRoleChange }) => {
+  const [error, setError] = useState(null);
+
+  const changeRole = (user, role) => {
+    setError(null);
+    onRoleChange(user, role).catch(err => setError(err.message));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
+      <h3 className="text-xl font-semibold mb-6 text-gray-800">Users</h3>
+
+      {users.length === 0 ? (
+        <div className="text-center py-8">
+          <Users className="w-12 h-12 text-gray-400 mx-auto mb-2" />
+          <p className="text-gray-500">No users loaded</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="pb-2 font-medium">Username</th>
+                <th className="pb-2 font-medium">Joined</th>
+                <th className="pb-2 font-medium">Role</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {users.map(user => (
+                <tr key={user.id}>
+                  <td className="py-2 pr-4 font-medium text-gray-800">
+                    {user.username}
+                    {user.id === currentUser.id && <span className="ml-2 text-gray-500 font-normal">(you)</span>}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{formatDate(new Date(user.createdAt))}</td>
+                  <td className="py-2">
+                    <select
+                      value={user.role}
+                      onChange={(e) => changeRole(user, e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-lg"
+                      title={ROLES[user.role]}
+                    >
+                      {Object.keys(ROLES).map(role => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default UserManagement;
@@ -0,0 +1,36 @@
+import { appendUtmParams, hasUtmParams, isValidUrl } from './shortener';
+
+const FIELDS = [
+  ['source', 'Source', 'newsletter'],
+  ['medium', 'Medium', 'email'],
+  ['campaign', 'Campaign', 'spring_sale']
+];
+
+const UtmBuilder = ({ originalUrl, utm, onChange }) => {
+  const preview = hasUtmParams(utm) && isValidUrl(originalUrl.trim())
+    ? appendUtmParams(originalUrl, utm)
+    : null;
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <p className="text-sm font-medium text-gray-700 mb-3">UTM Parameters (Optional)</p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {FIELDS.map(([field, label, placeholder]) => (
+          <div key={field}>
+            <label className="block text-xs text-gray-600 mb-1">{label}</label>
+            <input
+              type="text"
+              value={utm[field]}
+              onChange={(e) => onChange({ ...utm, [field]: e.target.value })}
+              placeholder={placeholder}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        ))}
+      </div>
+      {preview && <p className="text-xs text-gray-500 mt-2 break-all">Destination: {preview}</p>}
+    </div>
+  );
+};
+
+export default UtmBuilder;
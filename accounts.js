@@ -0,0 +1,59 @@
+export const ROLES = {
+  admin: 'Manages every link, domain and user',
+  member: 'Creates and manages their own links',
+  viewer: 'Read-only access to every link'
+};
+
+export const DEFAULT_ROLE = 'member';
+
+export const MIN_ACCOUNT_PASSWORD_LENGTH = 8;
+export const MAX_ACCOUNT_PASSWORD_LENGTH = 128;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+
+export const normalizeUsername = (username) => username.trim().toLowerCase();
+
+export const validateUsername = (username) => {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) {
+    return {
+      code: 'INVALID_USERNAME',
+      message: 'Username must be 3-32 characters: letters, numbers, dots, dashes or underscores'
+    };
+  }
+
+  return null;
+};
+
+export const validateAccountPassword = (password) => {
+  if (
+    typeof password !== 'string'
+    || password.length < MIN_ACCOUNT_PASSWORD_LENGTH
+    || password.length > MAX_ACCOUNT_PASSWORD_LENGTH
+  ) {
+    return {
+      code: 'INVALID_PASSWORD',
+      message: `Password must be between ${MIN_ACCOUNT_PASSWORD_LENGTH}-${MAX_ACCOUNT_PASSWORD_LENGTH} characters`
+    };
+  }
+
+  return null;
+};
+
+export const validateRole = (role) => {
+  if (!Object.hasOwn(ROLES, role)) {
+    return { code: 'INVALID_ROLE', message: `Role must be one of ${Object.keys(ROLES).join(', ')}` };
+  }
+
+  return null;
+};
+
+// Links without an owner predate accounts, so only admins and viewers see them
+export const canViewUrl = (user, url) => user.role !== 'member' || url.ownerId === user.id;
+
+export const canManageUrl = (user, url) => user.role === 'admin' || (user.role === 'member' && url.ownerId === user.id);
+
+export const canCreateUrls = (user) => user.role !== 'viewer';
+
+export const isAdmin = (user) => user.role === 'admin';
+
+export const visibleUrls = (user, urls) => urls.filter(url => canViewUrl(user, url));
@@ -0,0 +1,18 @@
+import { API_BASE_URL, authHeaders } from './api';
+import { consoleSink, httpBatchSink, LEVELS, logger, ringBufferSink } from './logger';
+
+const LOG_LEVEL_KEY = 'logLevel';
+
+export const activityLog = ringBufferSink({ capacity: 200, storage: window.localStorage, storageKey: 'activityLog' });
+
+const storedLevel = window.localStorage.getItem(LOG_LEVEL_KEY);
+
+logger.configure({
+  minLevel: Object.hasOwn(LEVELS, storedLevel) ? storedLevel : 'info',
+  sinks: [consoleSink(), activityLog, httpBatchSink({ url: `${API_BASE_URL}/logs`, headers: authHeaders })]
+});
+
+export const setLogLevel = (level) => {
+  logger.setMinLevel(level);
+  window.localStorage.setItem(LOG_LEVEL_KEY, level);
+};
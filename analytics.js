@@ -0,0 +1,118 @@
+import { isUnavailable } from './shortener.js';
+import { parseUserAgent } from './userAgent.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const GRANULARITIES = ['hour', 'day'];
+
+// Buckets are aligned to local hours/days so they line up with what formatDate shows
+const startOfBucket = (date, granularity) => (granularity === 'hour'
+  ? new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours())
+  : new Date(date.getFullYear(), date.getMonth(), date.getDate()));
+
+const nextBucket = (date, granularity, steps = 1) => (granularity === 'hour'
+  ? new Date(date.getTime() + steps * HOUR_MS)
+  : new Date(date.getFullYear(), date.getMonth(), date.getDate() + steps));
+
+export const allClicks = (urls) => urls.flatMap(url => url.clickHistory);
+
+// Bot clicks are kept in the history but left out of charts and breakdowns
+export const humanClicks = (clicks) => clicks.filter(click => !click.isBot);
+
+// Counts clicks per hour or day between `from` and `to`, including empty buckets.
+// When the range needs more than `maxBuckets`, only the most recent ones are kept.
+export const bucketClicks = (clicks, { granularity, from, to, maxBuckets = 1000 }) => {
+  const counts = new Map();
+
+  clicks.forEach(click => {
+    if (click.timestamp < from || click.timestamp > to) return;
+    const key = startOfBucket(click.timestamp, granularity).getTime();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  // Skip straight to the oldest bucket that will be kept instead of walking a
+  // years-long range one hour at a time
+  const earliest = nextBucket(startOfBucket(to, granularity), granularity, 1 - maxBuckets);
+  const first = startOfBucket(from, granularity);
+
+  const buckets = [];
+  for (let start = first < earliest ? earliest : first; start <= to; start = nextBucket(start, granularity)) {
+    buckets.push({ start, count: counts.get(start.getTime()) || 0 });
+  }
+
+  return buckets.slice(-maxBuckets);
+};
+
+export const clickRange = (clicks, fallbackStart = new Date()) => {
+  const now = new Date();
+
+  return clicks.reduce((range, click) => ({
+    from: click.timestamp < range.from ? click.timestamp : range.from,
+    to: click.timestamp > range.to ? click.timestamp : range.to
+  }), { from: fallbackStart < now ? fallbackStart : now, to: now });
+};
+
+export const referrerSource = (referrer) => {
+  if (!referrer || referrer === 'Direct') return 'Direct';
+
+  try {
+    return new URL(referrer).hostname.replace(/^www\./, '') || 'Other';
+  } catch (_) {
+    return 'Other';
+  }
+};
+
+const countBy = (items, key) => {
+  const counts = new Map();
+  items.forEach(item => counts.set(item[key], (counts.get(item[key]) || 0) + 1));
+
+  return [...counts.entries()]
+    .map(([label, count]) => ({ label, count, share: count / items.length }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+};
+
+export const breakdownClicks = (clicks) => {
+  const classified = clicks.map(click => ({
+    ...parseUserAgent(click.userAgent),
+    source: referrerSource(click.referrer)
+  }));
+
+  return {
+    source: countBy(classified, 'source'),
+    device: countBy(classified, 'device'),
+    browser: countBy(classified, 'browser'),
+    os: countBy(classified, 'os')
+  };
+};
+
+// Headline numbers for the overview cards; bot clicks are never part of `clicks`
+export const summarizeUrls = (urls, now = new Date()) => {
+  const activeUrls = urls.filter(url => !isUnavailable(url, now)).length;
+
+  return {
+    totalUrls: urls.length,
+    totalClicks: urls.reduce((sum, url) => sum + url.clicks, 0),
+    uniqueClicks: urls.reduce((sum, url) => sum + url.uniqueClicks, 0),
+    activeUrls,
+    expiredUrls: urls.length - activeUrls
+  };
+};
+
+// Ranked by unique visitors so repeated clicks can't push a link up
+export const topUrls = (urls, count = 5) => [...urls]
+  .sort((a, b) => b.uniqueClicks - a.uniqueClicks || b.clicks - a.clicks)
+  .slice(0, count);
+
+export const groupByCampaign = (urls) => {
+  const groups = new Map();
+
+  urls.forEach(url => {
+    const group = groups.get(url.campaign) || { campaign: url.campaign, links: 0, clicks: 0, uniqueClicks: 0 };
+    group.links += 1;
+    group.clicks += url.clicks;
+    group.uniqueClicks += url.uniqueClicks;
+    groups.set(url.campaign, group);
+  });
+
+  return [...groups.values()].sort((a, b) => b.clicks - a.clicks);
+};
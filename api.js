@@ -0,0 +1,155 @@
+import { reviveUrl } from './storage';
+
+export const API_BASE_URL = 'http://localhost:3001';
+
+export class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const AUTH_TOKEN_KEY = 'authToken';
+
+let authToken = localStorage.getItem(AUTH_TOKEN_KEY);
+let onUnauthenticated = () => {};
+
+const setAuthToken = (token) => {
+  authToken = token;
+  if (token) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+};
+
+// Null without a session
+export const authHeaders = () => (authToken ? { Authorization: `Bearer ${authToken}` } : null);
+
+const request = (path, { method = 'GET', body } = {}) => fetch(`${API_BASE_URL}${path}`, {
+  method,
+  headers: {
+    ...(body ? { 'Content-Type': 'application/json' } : {}),
+    ...authHeaders()
+  },
+  body: body ? JSON.stringify(body) : undefined
+}).then(res => {
+  if (res.status === 204) return null;
+
+  return res.json().then(data => {
+    // An expired or revoked session drops the stored token
+    if (res.status === 401 && data.error?.code === 'UNAUTHENTICATED' && authToken) {
+      setAuthToken(null);
+      onUnauthenticated();
+    }
+
+    if (!res.ok) {
+      throw new ApiError(
+        res.status,
+        data.error?.code,
+        data.error?.message || `Request failed with status ${res.status}`,
+        data.error?.details
+      );
+    }
+    return data;
+  });
+});
+
+// Single-link routes are scoped to a domain; the server falls back to its default
+const shortUrlPath = (shortcode, domain, suffix = '') => (
+  `/shorturls/${encodeURIComponent(shortcode)}${suffix}${domain ? `?domain=${encodeURIComponent(domain)}` : ''}`
+);
+
+const domainPath = (domain) => `/domains/${encodeURIComponent(domain)}`;
+
+const startSession = ({ user, token }) => {
+  setAuthToken(token);
+  return user;
+};
+
+export const api = {
+  hasSession: () => Boolean(authToken),
+
+  // Called whenever the server rejects the stored session
+  onUnauthenticated: (handler) => {
+    onUnauthenticated = handler;
+  },
+
+  register: (username, password) => request('/auth/register', {
+    method: 'POST',
+    body: { username, password }
+  }).then(startSession),
+
+  login: (username, password) => request('/auth/login', {
+    method: 'POST',
+    body: { username, password }
+  }).then(startSession),
+
+  logout: () => request('/auth/logout', { method: 'POST' }).finally(() => setAuthToken(null)),
+
+  getCurrentUser: () => request('/auth/me'),
+
+  listUsers: () => request('/auth/users'),
+
+  updateUserRole: (id, role) => request(`/auth/users/${id}`, { method: 'PATCH', body: { role } }),
+
+  listUrls: () => request('/shorturls').then(urls => urls.map(reviveUrl)),
+
+  getUrl: (shortcode, domain) => request(shortUrlPath(shortcode, domain)).then(reviveUrl),
+
+  createUrl: ({ originalUrl, shortcode, validityPeriod, campaign, password, maxClicks, domain }) => request('/shorturls', {
+    method: 'POST',
+    body: { originalUrl, shortcode, validityPeriod, campaign, password, maxClicks, domain }
+  }).then(reviveUrl),
+
+  // Resolves to `{ url }` or `{ error }` per link, in order
+  createUrls: (urls) => request('/shorturls/bulk-create', {
+    method: 'POST',
+    body: { urls }
+  }).then(results => results.map(result => (result.url ? { url: reviveUrl(result.url) } : result))),
+
+  updateUrl: (shortcode, updates, domain) => request(shortUrlPath(shortcode, domain), {
+    method: 'PATCH',
+    body: updates
+  }).then(reviveUrl),
+
+  deleteUrl: (shortcode, domain) => request(shortUrlPath(shortcode, domain), { method: 'DELETE' }),
+
+  // `overwrite` lists the `{ domain, shortcode }` pairs to replace
+  importUrls: (urls, overwrite = []) => request('/shorturls/import', {
+    method: 'POST',
+    body: { urls, overwrite }
+  }).then(imported => imported.map(reviveUrl)),
+
+  // `links` are `{ domain, shortcode }` pairs
+  deleteUrls: (links) => request('/shorturls/bulk', {
+    method: 'POST',
+    body: { action: 'delete', links }
+  }),
+
+  extendUrls: (links, minutes) => request('/shorturls/bulk', {
+    method: 'POST',
+    body: { action: 'extend', links, minutes }
+  }).then(urls => urls.map(reviveUrl)),
+
+  // Resolves to `{ originalUrl }` only; fetch the link again for its updated stats
+  recordClick: (shortcode, { referrer, password }, domain) => request(shortUrlPath(shortcode, domain, '/clicks'), {
+    method: 'POST',
+    body: { referrer, password }
+  }),
+
+  // The shortcode pattern arrives as a regex source
+  getConfig: () => request('/config').then(({ shortcodeRules }) => ({
+    shortcodeRules: { ...shortcodeRules, pattern: new RegExp(shortcodeRules.pattern) }
+  })),
+
+  listDomains: () => request('/domains'),
+
+  addDomain: (domain) => request('/domains', { method: 'POST', body: { domain } }),
+
+  setDefaultDomain: (domain) => request(domainPath(domain), { method: 'PATCH', body: { isDefault: true } }),
+
+  removeDomain: (domain) => request(domainPath(domain), { method: 'DELETE' })
+};
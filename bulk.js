@@ -0,0 +1,43 @@
+import { parseCsv } from './csv.js';
+import { DEFAULT_VALIDITY_PERIOD } from './shortener.js';
+
+export const MAX_BULK_ROWS = 500;
+
+const COLUMN_ALIASES = {
+  originalUrl: ['url', 'originalurl', 'original_url', 'destination'],
+  shortcode: ['shortcode', 'short_code', 'code', 'alias'],
+  validityPeriod: ['validity', 'validityperiod', 'validity_period', 'validity_minutes', 'minutes']
+};
+
+const findColumn = (header, field) => header.findIndex(name => COLUMN_ALIASES[field].includes(name));
+
+// Accepts one URL per line or CSV with `url,shortcode,validity` columns. A header
+// row is optional; without one the columns are read in that order.
+export const parseBulkInput = (text) => {
+  const rows = parseCsv(text.trim())
+    .map((cells, index) => ({ cells: cells.map(cell => cell.trim()), line: index + 1 }))
+    .filter(({ cells }) => cells.some(Boolean));
+
+  if (rows.length === 0) return [];
+
+  const header = rows[0].cells.map(cell => cell.toLowerCase());
+  const hasHeader = findColumn(header, 'originalUrl') !== -1;
+  const columns = hasHeader
+    ? {
+        originalUrl: findColumn(header, 'originalUrl'),
+        shortcode: findColumn(header, 'shortcode'),
+        validityPeriod: findColumn(header, 'validityPeriod')
+      }
+    : { originalUrl: 0, shortcode: 1, validityPeriod: 2 };
+
+  return (hasHeader ? rows.slice(1) : rows).map(({ cells, line }) => {
+    const validity = cells[columns.validityPeriod] || '';
+
+    return {
+      line,
+      originalUrl: cells[columns.originalUrl] || '',
+      shortcode: cells[columns.shortcode] || '',
+      validityPeriod: validity ? Number(validity) : DEFAULT_VALIDITY_PERIOD
+    };
+  });
+};
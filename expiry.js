@@ -0,0 +1,46 @@
+import { isArchived, isExpired } from './shortener';
+
+export const DEFAULT_WARNING_THRESHOLDS = [60, 24 * 60];
+
+const THRESHOLDS_KEY = 'expiryWarningThresholds';
+
+// "60, 1440" -> [60, 1440]; null when any entry is not a positive whole number
+export const parseThresholds = (text) => {
+  const values = text.split(',').map(value => value.trim()).filter(Boolean).map(Number);
+
+  if (values.length === 0 || !values.every(value => Number.isInteger(value) && value > 0)) {
+    return null;
+  }
+
+  return [...new Set(values)].sort((a, b) => a - b);
+};
+
+export const loadWarningThresholds = () => {
+  try {
+    const stored = localStorage.getItem(THRESHOLDS_KEY);
+    return (stored && parseThresholds(JSON.parse(stored).join(','))) || DEFAULT_WARNING_THRESHOLDS;
+  } catch {
+    return DEFAULT_WARNING_THRESHOLDS;
+  }
+};
+
+export const saveWarningThresholds = (thresholds) => {
+  localStorage.setItem(THRESHOLDS_KEY, JSON.stringify(thresholds));
+};
+
+// Live links that expire within the largest threshold, each tagged with the
+// tightest threshold it has crossed, soonest first
+export const expiringSoon = (urls, thresholds, now = new Date()) => urls
+  .filter(url => !isArchived(url) && !isExpired(url, now))
+  .map(url => {
+    const minutesLeft = (url.expiresAt.getTime() - now.getTime()) / (60 * 1000);
+    return { url, minutesLeft, threshold: thresholds.find(threshold => minutesLeft <= threshold) };
+  })
+  .filter(warning => warning.threshold !== undefined)
+  .sort((a, b) => a.minutesLeft - b.minutesLeft);
+
+export const formatDuration = (minutes) => {
+  if (minutes < 60) return `${Math.max(1, Math.round(minutes))} min`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h`;
+  return `${Math.round(minutes / (24 * 60))} d`;
+};
@@ -0,0 +1,36 @@
+import { toCsv } from './csv';
+import { serializeUrls } from './storage';
+
+export const urlsToJson = (urls) => serializeUrls(urls);
+
+export const urlsToCsv = (urls) => toCsv([
+  ['shortcode', 'shortUrl', 'originalUrl', 'campaign', 'createdAt', 'expiresAt', 'clicks', 'uniqueClicks'],
+  ...urls.map(url => [
+    url.shortcode,
+    url.shortUrl,
+    url.originalUrl,
+    url.campaign,
+    url.createdAt,
+    url.expiresAt,
+    url.clicks,
+    url.uniqueClicks
+  ])
+]);
+
+export const clicksToCsv = (urls) => toCsv([
+  ['domain', 'shortcode', 'timestamp', 'userAgent', 'referrer', 'isUnique', 'isBot'],
+  ...urls.flatMap(url => url.clickHistory.map(click => [
+    url.domain,
+    url.shortcode,
+    click.timestamp,
+    click.userAgent,
+    click.referrer,
+    click.isUnique,
+    click.isBot
+  ]))
+]);
+
+export const exportFilename = (name, extension) => {
+  const date = new Date().toISOString().slice(0, 10);
+  return `short-urls-${name}-${date}.${extension}`;
+};
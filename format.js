@@ -0,0 +1,27 @@
+export const formatDate = (date) => {
+  return new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(date);
+};
+
+export const formatBucketLabel = (date, granularity) => {
+  return new Intl.DateTimeFormat('en-US', granularity === 'hour'
+    ? { month: 'short', day: 'numeric', hour: '2-digit' }
+    : { month: 'short', day: 'numeric' }
+  ).format(date);
+};
+
+// Values for `<input type="date">` and `<input type="datetime-local">`, which work in
+// local time without a timezone suffix
+const toLocalIsoString = (date) => {
+  const offset = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offset).toISOString();
+};
+
+export const toDateInputValue = (date) => toLocalIsoString(date).slice(0, 10);
+
+export const toDateTimeLocalValue = (date) => toLocalIsoString(date).slice(0, 16);
@@ -0,0 +1,155 @@
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const CONSOLE_METHODS = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+
+// Sinks are objects with `write(entry)`; entries are plain JSON-safe objects:
+// `{ timestamp, level, message, data }`
+export const consoleSink = ({ json = false } = {}) => ({
+  write: (entry) => {
+    const method = console[CONSOLE_METHODS[entry.level]];
+
+    if (json) {
+      method(JSON.stringify(entry));
+    } else {
+      method(`[${entry.level.toUpperCase()}] ${entry.timestamp}: ${entry.message}`, entry.data);
+    }
+  }
+});
+
+// Keeps the newest `capacity` entries, optionally mirrored to a Storage
+// object (e.g. localStorage) so they survive a reload
+export const ringBufferSink = ({ capacity = 200, storage = null, storageKey = 'logEntries' } = {}) => {
+  let entries = [];
+  const listeners = new Set();
+
+  if (storage) {
+    try {
+      const stored = JSON.parse(storage.getItem(storageKey));
+      if (Array.isArray(stored)) entries = stored.slice(-capacity);
+    } catch (_) {
+      entries = [];
+    }
+  }
+
+  const update = (next) => {
+    entries = next;
+    if (storage) {
+      try {
+        storage.setItem(storageKey, JSON.stringify(entries));
+      } catch (_) {
+        // Storage full or unavailable; the in-memory buffer still works
+      }
+    }
+    listeners.forEach(listener => listener(entries));
+  };
+
+  return {
+    write: (entry) => update([...entries, entry].slice(-capacity)),
+    entries: () => entries,
+    clear: () => update([]),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+// Posts `{ entries }` batches to `url`. Failed batches are dropped after a
+// console warning so logging can never take the app down with it. Entries stay
+// queued while `headers` returns null, e.g. until the user has logged in.
+export const httpBatchSink = ({
+  url,
+  headers = () => ({}),
+  batchSize = 20,
+  flushInterval = 5000,
+  maxQueue = 1000
+} = {}) => {
+  let queue = [];
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const extraHeaders = headers();
+    if (queue.length === 0 || !extraHeaders) return Promise.resolve();
+
+    const batch = queue;
+    queue = [];
+
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...extraHeaders },
+      body: JSON.stringify({ entries: batch }),
+      keepalive: true
+    }).then(res => {
+      if (!res.ok) throw new Error(`Log upload failed with status ${res.status}`);
+    }).catch(err => {
+      console.warn(`Dropped ${batch.length} log entries: ${err.message}`);
+    });
+  };
+
+  return {
+    write: (entry) => {
+      queue = [...queue, entry].slice(-maxQueue);
+
+      if (queue.length >= batchSize) {
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, flushInterval);
+        timer.unref?.();
+      }
+    },
+    flush
+  };
+};
+
+const toJsonSafe = (data) => {
+  try {
+    return JSON.parse(JSON.stringify(data ?? {}));
+  } catch (_) {
+    return { unserializable: String(data) };
+  }
+};
+
+export const createLogger = ({ minLevel = 'info', sinks = [consoleSink()] } = {}) => {
+  let threshold = LEVELS[minLevel];
+  let activeSinks = new Set(sinks);
+
+  const log = (level, message, data) => {
+    if (LEVELS[level] < threshold) return;
+
+    const entry = { timestamp: new Date().toISOString(), level, message, data: toJsonSafe(data) };
+    activeSinks.forEach(sink => {
+      try {
+        sink.write(entry);
+      } catch (err) {
+        console.error('Log sink failed', err);
+      }
+    });
+  };
+
+  const setMinLevel = (level) => {
+    if (!Object.hasOwn(LEVELS, level)) throw new Error(`Unknown log level: ${level}`);
+    threshold = LEVELS[level];
+  };
+
+  return {
+    log,
+    debug: (message, data) => log('debug', message, data),
+    info: (message, data) => log('info', message, data),
+    warn: (message, data) => log('warn', message, data),
+    error: (message, data) => log('error', message, data),
+    getMinLevel: () => Object.keys(LEVELS).find(level => LEVELS[level] === threshold),
+    setMinLevel,
+    configure: ({ minLevel: level, sinks: nextSinks } = {}) => {
+      if (level) setMinLevel(level);
+      if (nextSinks) activeSinks = new Set(nextSinks);
+    },
+    addSink: (sink) => {
+      activeSinks.add(sink);
+      return () => activeSinks.delete(sink);
+    }
+  };
+};
+
+export const logger = createLogger();
@@ -0,0 +1,512 @@
+import { canCreateUrls, canManageUrl, canViewUrl, visibleUrls } from '../accounts.js';
+import { MAX_BULK_ROWS } from '../bulk.js';
+import { logger } from '../logger.js';
+import {
+  addMinutes,
+  buildShortUrl,
+  createUrlRecord,
+  DEFAULT_VALIDITY_PERIOD,
+  isClickLimitReached,
+  isExpired,
+  linkKey,
+  normalizeCampaign,
+  recordClick,
+  validateCampaign,
+  validateExpiresAt,
+  validateMaxClicks,
+  validateNewUrl,
+  validateOriginalUrl,
+  validatePassword,
+  validateShortcode,
+  validateValidityPeriod
+} from '../shortener.js';
+import { reviveUrl } from '../storage.js';
+import { requireUser } from './auth.js';
+import { HttpError, readJson, sendJson, sendNoContent, withErrors } from './http.js';
+import { hashPassword, verifyPassword } from './passwords.js';
+import { clientIp, visitorId } from './visitors.js';
+
+const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+const MAX_BULK_BYTES = 5 * 1024 * 1024;
+
+const BULK_ACTIONS = ['delete', 'extend'];
+
+const VALIDATION_STATUS = {
+  SHORTCODE_TAKEN: 409
+};
+
+const throwIfInvalid = (error) => {
+  if (error) {
+    throw new HttpError(VALIDATION_STATUS[error.code] || 400, error.code, error.message);
+  }
+};
+
+// Password hashes stay on the server; clients only learn that a link is protected
+const toPublicUrl = ({ passwordHash, ...url }) => ({ ...url, isProtected: Boolean(passwordHash) });
+
+// Links the user may not see answer exactly like missing ones
+const findUrl = (store, shortcode, domain, user = null) => {
+  const url = store.findByShortcode(shortcode, domain);
+  if (!url || (user && !canViewUrl(user, url))) {
+    throw new HttpError(404, 'NOT_FOUND', `No short URL found for "${shortcode}" on ${domain}`);
+  }
+  return url;
+};
+
+const unknownDomain = (domain) => ({ code: 'UNKNOWN_DOMAIN', message: `"${domain}" is not a registered short domain` });
+
+const methodNotAllowed = () => new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+
+const forbidden = () => new HttpError(403, 'FORBIDDEN', 'You do not have permission to do that');
+
+const requireCreator = (ctx, req) => {
+  const user = requireUser(ctx, req);
+  if (!canCreateUrls(user)) throw forbidden();
+  return user;
+};
+
+// Creation is limited per user and per address, so extra accounts don't help a script
+const limitCreation = ({ rateLimits }, req, res, user) => {
+  const blocked = [`user:${user.id}`, `ip:${clientIp(req)}`]
+    .map(key => rateLimits.create.consume(key))
+    .find(result => !result.allowed);
+
+  if (blocked) {
+    logger.warn('Link creation rate limited', { username: user.username, ip: clientIp(req) });
+    res.setHeader('Retry-After', Math.ceil(blocked.retryAfterMs / 1000));
+    throw new HttpError(429, 'RATE_LIMITED', 'Too many links created. Please try again later.');
+  }
+};
+
+// Validates one new link and builds its record without storing it. `isPending`
+// reports shortcodes claimed earlier in the same batch.
+const newShortUrl = (ctx, body, user, isPending = () => false) => {
+  const { store, domains, checkDestination, generateShortcode, shortcodeRules } = ctx;
+
+  if (body === null || typeof body !== 'object') {
+    throw new HttpError(400, 'INVALID_RECORD', 'Expected a link object');
+  }
+
+  const {
+    originalUrl,
+    validityPeriod = DEFAULT_VALIDITY_PERIOD,
+    campaign = null,
+    password = null,
+    maxClicks = null,
+    domain = domains.getDefault()
+  } = body;
+  const isShortcodeUnique = (code) => !store.findByShortcode(code, domain) && !isPending(code, domain);
+
+  const customShortcode = typeof body.shortcode === 'string' ? body.shortcode.trim() : body.shortcode;
+
+  if (!domains.has(domain)) throwIfInvalid(unknownDomain(domain));
+
+  throwIfInvalid(validateNewUrl(
+    { originalUrl, shortcode: customShortcode, validityPeriod, campaign, password, maxClicks },
+    { isShortcodeUnique, checkDestination, shortcodeRules }
+  ));
+
+  const shortcode = customShortcode || generateShortcode(isShortcodeUnique);
+  if (!shortcode) {
+    throw new HttpError(503, 'SHORTCODE_UNAVAILABLE', 'Could not generate a free shortcode. Please try again.');
+  }
+
+  return {
+    ...createUrlRecord({
+      id: store.nextId(),
+      originalUrl,
+      shortcode,
+      validityPeriod,
+      campaign,
+      maxClicks,
+      domain,
+      ownerId: user.id
+    }),
+    passwordHash: password === null ? null : hashPassword(password)
+  };
+};
+
+const createShortUrl = async (ctx, req, res, user) => {
+  limitCreation(ctx, req, res, user);
+
+  const body = await readJson(req);
+  const url = ctx.store.add(newShortUrl(ctx, body, user));
+
+  logger.info('Short URL created via API', {
+    shortcode: url.shortcode,
+    domain: url.domain,
+    owner: user.username,
+    originalUrl: url.originalUrl,
+    expiresAt: url.expiresAt,
+    isProtected: Boolean(url.passwordHash),
+    maxClicks: url.maxClicks
+  });
+
+  sendJson(res, 201, toPublicUrl(url));
+};
+
+// Creates many links in one write that counts as a single request against the
+// creation limit. Rows succeed or fail on their own: the response holds `{ url }`
+// or `{ error }` per row, in order, and earlier rows win shortcode clashes.
+const bulkCreateShortUrls = async (ctx, req, res, user) => {
+  limitCreation(ctx, req, res, user);
+
+  const { urls } = await readJson(req, { maxBytes: MAX_BULK_BYTES });
+
+  if (!Array.isArray(urls) || urls.length > MAX_BULK_ROWS) {
+    throw new HttpError(400, 'INVALID_BODY', `Expected a "urls" array of at most ${MAX_BULK_ROWS} links`);
+  }
+
+  const pendingKeys = new Set();
+  const isPending = (code, domain) => pendingKeys.has(linkKey(domain, code));
+
+  const results = urls.map(item => {
+    try {
+      const url = newShortUrl(ctx, item, user, isPending);
+      pendingKeys.add(linkKey(url.domain, url.shortcode));
+      return { url };
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+      return { error: { code: err.code, message: err.message } };
+    }
+  });
+
+  const created = ctx.store.addMany(results.filter(result => result.url).map(result => result.url));
+
+  logger.info('Short URLs created in bulk via API', {
+    owner: user.username,
+    created: created.length,
+    failed: urls.length - created.length
+  });
+
+  sendJson(res, 200, results.map(result => (result.url ? { url: toPublicUrl(result.url) } : result)));
+};
+
+const updateShortUrl = async ({ store, checkDestination, shortcodeRules }, req, res, url) => {
+  const body = await readJson(req);
+  const updates = {};
+
+  if (body.originalUrl !== undefined) {
+    throwIfInvalid(validateOriginalUrl(body.originalUrl));
+    throwIfInvalid(checkDestination(body.originalUrl));
+    updates.originalUrl = body.originalUrl.trim();
+  }
+
+  if (body.expiresAt !== undefined) {
+    throwIfInvalid(validateExpiresAt(body.expiresAt));
+    updates.expiresAt = new Date(body.expiresAt);
+  }
+
+  if (body.campaign !== undefined) {
+    throwIfInvalid(validateCampaign(body.campaign));
+    updates.campaign = normalizeCampaign(body.campaign);
+  }
+
+  if (body.maxClicks !== undefined) {
+    throwIfInvalid(validateMaxClicks(body.maxClicks));
+    updates.maxClicks = body.maxClicks;
+  }
+
+  if (body.archived !== undefined) {
+    if (typeof body.archived !== 'boolean') {
+      throw new HttpError(400, 'INVALID_ARCHIVED', '"archived" must be a boolean');
+    }
+    updates.archivedAt = body.archived ? url.archivedAt ?? new Date() : null;
+  }
+
+  // `password: null` removes the protection
+  if (body.password !== undefined) {
+    if (body.password !== null) throwIfInvalid(validatePassword(body.password));
+    updates.passwordHash = body.password === null ? null : hashPassword(body.password);
+  }
+
+  if (body.shortcode !== undefined && body.shortcode !== url.shortcode) {
+    throwIfInvalid(validateShortcode(body.shortcode, code => !store.findByShortcode(code, url.domain), shortcodeRules));
+    updates.shortcode = body.shortcode;
+    updates.shortUrl = buildShortUrl(body.shortcode, url.domain);
+  }
+
+  const updated = store.update(url.id, u => ({ ...u, ...updates }));
+
+  logger.info('Short URL updated via API', { shortcode: url.shortcode, updates: Object.keys(updates) });
+
+  sendJson(res, 200, toPublicUrl(updated));
+};
+
+const deleteShortUrl = ({ store }, res, url) => {
+  store.remove(url.id);
+  logger.info('Short URL deleted via API', { shortcode: url.shortcode });
+  sendNoContent(res);
+};
+
+// Open to anonymous visitors, so the response only carries the destination.
+// Throttled clicks still get it so the visitor is redirected, they just aren't
+// counted; 200 instead of 201 tells the two apart.
+const createClick = async ({ store, rateLimits }, req, res, url) => {
+  const body = await readJson(req);
+  const now = new Date();
+
+  if (isExpired(url, now)) {
+    throw new HttpError(410, 'EXPIRED', 'This shortened URL has expired');
+  }
+
+  if (isClickLimitReached(url)) {
+    throw new HttpError(410, 'CLICK_LIMIT_REACHED', 'This shortened URL has reached its click limit');
+  }
+
+  if (url.passwordHash && body.password === undefined) {
+    throw new HttpError(401, 'PASSWORD_REQUIRED', 'This shortened URL is password protected');
+  }
+
+  if (url.passwordHash) {
+    // Checked before hashing, so guesses can't tie up the event loop either
+    const attempt = rateLimits.password.consume(`${url.id}:${clientIp(req)}`);
+    if (!attempt.allowed) {
+      logger.warn('URL click rejected - too many password attempts', { shortcode: url.shortcode, ip: clientIp(req) });
+      res.setHeader('Retry-After', Math.ceil(attempt.retryAfterMs / 1000));
+      throw new HttpError(429, 'RATE_LIMITED', 'Too many password attempts. Please try again later.');
+    }
+
+    if (!verifyPassword(body.password, url.passwordHash)) {
+      logger.warn('URL click rejected - incorrect password', { shortcode: url.shortcode });
+      throw new HttpError(403, 'INCORRECT_PASSWORD', 'Incorrect password');
+    }
+  }
+
+  if (!rateLimits.click.consume(`${url.id}:${clientIp(req)}`).allowed) {
+    logger.debug('Click not counted - rate limited', { shortcode: url.shortcode });
+    sendJson(res, 200, { originalUrl: url.originalUrl });
+    return;
+  }
+
+  store.update(url.id, u => recordClick(u, {
+    timestamp: now,
+    userAgent: req.headers['user-agent'] || '',
+    referrer: typeof body.referrer === 'string' && body.referrer ? body.referrer : 'Direct',
+    visitorId: visitorId(req)
+  }));
+
+  sendJson(res, 201, { originalUrl: url.originalUrl });
+};
+
+const isValidDate = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+const validateImportedUrl = (item, isShortcodeUnique, { domains, checkDestination, shortcodeRules }) => {
+  if (item === null || typeof item !== 'object') {
+    return { code: 'INVALID_RECORD', message: 'Expected a link object' };
+  }
+
+  if (item.domain !== undefined && !domains.has(item.domain)) {
+    return unknownDomain(item.domain);
+  }
+
+  const error = validateOriginalUrl(item.originalUrl)
+    || checkDestination(item.originalUrl)
+    || validateShortcode(item.shortcode, isShortcodeUnique, shortcodeRules)
+    || validateCampaign(item.campaign ?? null)
+    || validateMaxClicks(item.maxClicks ?? null);
+  if (error) return error;
+
+  if (!isValidDate(item.createdAt) || !isValidDate(item.expiresAt)) {
+    return { code: 'INVALID_RECORD', message: 'createdAt and expiresAt must be valid dates' };
+  }
+
+  // Only the hash is exported, so protected links need a new password to stay protected
+  if (item.isProtected === true && item.password == null) {
+    return { code: 'PASSWORD_REQUIRED', message: 'Protected links need a new password to be imported' };
+  }
+
+  if (item.password != null) {
+    const passwordError = validatePassword(item.password);
+    if (passwordError) return passwordError;
+  }
+
+  const clickHistory = item.clickHistory ?? [];
+  if (!Array.isArray(clickHistory) || !clickHistory.every(click => isValidDate(click?.timestamp))) {
+    return { code: 'INVALID_RECORD', message: 'clickHistory must be a list of clicks with valid timestamps' };
+  }
+
+  return null;
+};
+
+// Restores exported links including their stats. All-or-nothing: any invalid
+// record rejects the whole import with per-record details. `overwrite` lists
+// the `{ domain, shortcode }` pairs to replace; only links the user may manage
+// can be replaced. Imported links belong to the importing user.
+const importShortUrls = async (ctx, req, res, user) => {
+  const { store, domains } = ctx;
+  limitCreation(ctx, req, res, user);
+
+  const { urls, overwrite = [] } = await readJson(req, { maxBytes: MAX_IMPORT_BYTES });
+
+  if (!Array.isArray(urls) || !Array.isArray(overwrite)) {
+    throw new HttpError(400, 'INVALID_BODY', 'Expected "urls" and optional "overwrite" arrays');
+  }
+
+  const domainOf = (item) => item?.domain ?? domains.getDefault();
+  const overwriteKeys = new Set(overwrite.map(link => linkKey(domainOf(link), link?.shortcode)));
+  const importedKeys = new Set();
+  const errors = [];
+  const isReplaceable = (existing) => overwriteKeys.has(linkKey(existing.domain, existing.shortcode))
+    && canManageUrl(user, existing);
+
+  urls.forEach((item, index) => {
+    const error = validateImportedUrl(item, code => {
+      const existing = store.findByShortcode(code, domainOf(item));
+      return !importedKeys.has(linkKey(domainOf(item), code)) && (!existing || isReplaceable(existing));
+    }, ctx);
+
+    if (error) {
+      errors.push({ index, shortcode: item?.shortcode, ...error });
+      return;
+    }
+
+    importedKeys.add(linkKey(domainOf(item), item.shortcode));
+  });
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'INVALID_IMPORT', `${errors.length} of ${urls.length} links could not be imported`, errors);
+  }
+
+  let overwritten = 0;
+  urls.forEach(item => {
+    const existing = overwriteKeys.has(linkKey(domainOf(item), item.shortcode))
+      && store.findByShortcode(item.shortcode, domainOf(item));
+    if (existing) {
+      store.remove(existing.id);
+      overwritten++;
+    }
+  });
+
+  const imported = store.addMany(urls.map(item => {
+    const url = reviveUrl(item);
+    const domain = domainOf(item);
+    const clicks = Number.isInteger(url.clicks) ? url.clicks : url.clickHistory.length;
+
+    return {
+      id: store.nextId(),
+      ownerId: user.id,
+      originalUrl: url.originalUrl.trim(),
+      domain,
+      shortcode: url.shortcode,
+      shortUrl: buildShortUrl(url.shortcode, domain),
+      campaign: normalizeCampaign(url.campaign),
+      maxClicks: url.maxClicks ?? null,
+      passwordHash: item.password == null ? null : hashPassword(item.password),
+      createdAt: url.createdAt,
+      expiresAt: url.expiresAt,
+      archivedAt: null,
+      clicks,
+      uniqueClicks: Number.isInteger(url.uniqueClicks) ? url.uniqueClicks : clicks,
+      clickHistory: url.clickHistory.map(({ timestamp, userAgent, referrer, visitorId: visitor, isBot, isUnique }) => ({
+        timestamp,
+        userAgent: userAgent || '',
+        referrer: referrer || 'Direct',
+        visitorId: visitor ?? null,
+        isBot: isBot === true,
+        isUnique: isUnique !== false
+      }))
+    };
+  }));
+
+  logger.info('Short URLs imported via API', { count: imported.length, overwritten });
+
+  sendJson(res, 201, imported.map(toPublicUrl));
+};
+
+// Deletes or extends many links in one write. `links` are `{ domain, shortcode }`
+// pairs, a missing domain meaning the default one; links that no longer exist
+// are skipped so a retried request stays harmless.
+// The whole request is refused if any remaining link is not the user's to manage.
+const bulkUpdateShortUrls = async ({ store, domains }, req, res, user) => {
+  const { action, links, minutes } = await readJson(req, { maxBytes: MAX_BULK_BYTES });
+
+  if (!BULK_ACTIONS.includes(action) || !Array.isArray(links)) {
+    throw new HttpError(400, 'INVALID_BODY', `Expected an "action" (${BULK_ACTIONS.join(', ')}) and a "links" array`);
+  }
+
+  const targets = links
+    .map(link => store.findByShortcode(link?.shortcode, domains.resolve(link?.domain)))
+    .filter(Boolean);
+  if (!targets.every(url => canManageUrl(user, url))) throw forbidden();
+
+  const ids = targets.map(url => url.id);
+
+  if (action === 'delete') {
+    store.removeMany(ids);
+    logger.info('Short URLs deleted via API', { count: targets.length });
+    sendJson(res, 200, { deleted: targets.map(({ domain, shortcode }) => ({ domain, shortcode })) });
+    return;
+  }
+
+  throwIfInvalid(validateValidityPeriod(minutes));
+
+  const updated = store.updateMany(ids, url => ({
+    ...url,
+    expiresAt: addMinutes(url.expiresAt, minutes)
+  }));
+
+  logger.info('Short URLs extended via API', { count: updated.length, minutes });
+
+  sendJson(res, 200, updated.map(toPublicUrl));
+};
+
+const route = async (ctx, req, res) => {
+  if (req.method === 'OPTIONS') {
+    sendNoContent(res);
+    return;
+  }
+
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const [shortcode, action, ...rest] = pathname
+    .split('/')
+    .slice(2)
+    .filter(Boolean)
+    .map(segment => decodeURIComponent(segment));
+
+  if (!shortcode) {
+    if (req.method === 'GET') return sendJson(res, 200, visibleUrls(requireUser(ctx, req), ctx.store.list()).map(toPublicUrl));
+    if (req.method === 'POST') return createShortUrl(ctx, req, res, requireCreator(ctx, req));
+    throw methodNotAllowed();
+  }
+
+  if (shortcode === 'import' && !action && req.method === 'POST') {
+    return importShortUrls(ctx, req, res, requireCreator(ctx, req));
+  }
+
+  if (shortcode === 'bulk' && !action && req.method === 'POST') {
+    return bulkUpdateShortUrls(ctx, req, res, requireCreator(ctx, req));
+  }
+
+  if (shortcode === 'bulk-create' && !action && req.method === 'POST') {
+    return bulkCreateShortUrls(ctx, req, res, requireCreator(ctx, req));
+  }
+
+  if (rest.length > 0 || (action && action !== 'clicks')) {
+    throw new HttpError(404, 'ROUTE_NOT_FOUND', 'Route not found');
+  }
+
+  const domain = ctx.domains.resolve(searchParams.get('domain'));
+
+  // Clicks are recorded for anonymous visitors following the short link
+  if (action === 'clicks') {
+    if (req.method === 'POST') return createClick(ctx, req, res, findUrl(ctx.store, shortcode, domain));
+    throw methodNotAllowed();
+  }
+
+  const user = requireUser(ctx, req);
+  const url = findUrl(ctx.store, shortcode, domain, user);
+
+  if (req.method === 'GET') return sendJson(res, 200, toPublicUrl(url));
+  if (!['PATCH', 'DELETE'].includes(req.method)) throw methodNotAllowed();
+  if (!canManageUrl(user, url)) throw forbidden();
+
+  if (req.method === 'PATCH') return updateShortUrl(ctx, req, res, url);
+  return deleteShortUrl(ctx, res, url);
+};
+
+// REST API for `/shorturls` with structured `{ error: { code, message } }` responses.
+// `ctx` carries the store, the domain registry, the user store and sessions, the
+// rate limiters, the destination checker and the shortcode generator and rules. Every route except
+// recording a click needs a logged-in user. Single-link routes take an optional `?domain=`.
+export const createApiHandler = (ctx) => withErrors((req, res) => route(ctx, req, res), 'API request failed');
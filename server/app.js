@@ -0,0 +1,56 @@
+import { createApiHandler } from './api.js';
+import { createAuthHandler, createSessions } from './auth.js';
+import { createConfigHandler } from './config.js';
+import { createDomainsHandler } from './domains.js';
+import { createLogsHandler } from './logs.js';
+import { createRedirectHandler } from './redirect.js';
+
+export const createApp = (store, { domains, users, rateLimits, checkDestination, generateShortcode, shortcodeRules }) => {
+  const sessions = createSessions();
+  const handleApi = createApiHandler({
+    store,
+    domains,
+    users,
+    sessions,
+    rateLimits,
+    checkDestination,
+    generateShortcode,
+    shortcodeRules
+  });
+  const handleDomains = createDomainsHandler({ store, domains, users, sessions });
+  const handleAuth = createAuthHandler({ users, sessions });
+  const handleRedirect = createRedirectHandler(store, { domains, rateLimits });
+  const handleLogs = createLogsHandler({ users, sessions });
+  const handleConfig = createConfigHandler({ shortcodeRules });
+
+  return (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/shorturls' || pathname.startsWith('/shorturls/')) {
+      handleApi(req, res);
+      return;
+    }
+
+    if (pathname.startsWith('/auth/')) {
+      handleAuth(req, res);
+      return;
+    }
+
+    if (pathname === '/domains' || pathname.startsWith('/domains/')) {
+      handleDomains(req, res);
+      return;
+    }
+
+    if (pathname === '/logs') {
+      handleLogs(req, res);
+      return;
+    }
+
+    if (pathname === '/config') {
+      handleConfig(req, res);
+      return;
+    }
+
+    handleRedirect(req, res);
+  };
+};
@@ -0,0 +1,21 @@
+import { logger } from '../logger.js';
+import { isArchivable } from '../shortener.js';
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Archived links keep their click history; they only leave the main list
+export const archiveExpiredUrls = (store, now = new Date()) => {
+  const ids = store.list().filter(url => isArchivable(url, now)).map(url => url.id);
+  if (ids.length === 0) return 0;
+
+  store.updateMany(ids, url => ({ ...url, archivedAt: now }));
+  logger.info('Expired short URLs archived', { count: ids.length });
+  return ids.length;
+};
+
+export const startArchiveSweep = (store, { intervalMs = SWEEP_INTERVAL_MS } = {}) => {
+  archiveExpiredUrls(store);
+  const interval = setInterval(() => archiveExpiredUrls(store), intervalMs);
+  interval.unref();
+  return () => clearInterval(interval);
+};
@@ -0,0 +1,168 @@
+import crypto from 'node:crypto';
+import {
+  DEFAULT_ROLE,
+  isAdmin,
+  normalizeUsername,
+  validateAccountPassword,
+  validateRole,
+  validateUsername
+} from '../accounts.js';
+import { logger } from '../logger.js';
+import { HttpError, readJson, sendJson, sendNoContent, withErrors } from './http.js';
+import { hashPassword, verifyPassword } from './passwords.js';
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Opaque bearer tokens kept in memory, so a server restart logs everyone out
+export const createSessions = ({ ttlMs = SESSION_TTL_MS } = {}) => {
+  const sessions = new Map();
+
+  return {
+    create: (userId) => {
+      const token = crypto.randomBytes(32).toString('hex');
+      sessions.set(token, { userId, expiresAt: Date.now() + ttlMs });
+      return token;
+    },
+
+    lookup: (token) => {
+      const session = sessions.get(token);
+      if (!session) return null;
+
+      if (session.expiresAt < Date.now()) {
+        sessions.delete(token);
+        return null;
+      }
+
+      return session.userId;
+    },
+
+    revoke: (token) => sessions.delete(token)
+  };
+};
+
+export const toPublicUser = ({ passwordHash, ...user }) => user;
+
+const bearerToken = (req) => {
+  const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+};
+
+// Resolves the `Authorization: Bearer <token>` header to a user, or throws 401
+export const requireUser = ({ users, sessions }, req) => {
+  const token = bearerToken(req);
+  const user = token && users.findById(sessions.lookup(token));
+
+  if (!user) {
+    throw new HttpError(401, 'UNAUTHENTICATED', 'Please log in to continue');
+  }
+
+  return user;
+};
+
+export const requireAdmin = (ctx, req) => {
+  const user = requireUser(ctx, req);
+
+  if (!isAdmin(user)) {
+    throw new HttpError(403, 'FORBIDDEN', 'Only admins can do that');
+  }
+
+  return user;
+};
+
+const throwIfInvalid = (error) => {
+  if (error) throw new HttpError(400, error.code, error.message);
+};
+
+// The first account becomes the admin so a fresh install can be managed at all
+const register = async ({ users, sessions }, req, res) => {
+  const { username, password } = await readJson(req);
+
+  throwIfInvalid(validateUsername(username));
+  throwIfInvalid(validateAccountPassword(password));
+
+  const normalized = normalizeUsername(username);
+  if (users.findByUsername(normalized)) {
+    throw new HttpError(409, 'USERNAME_TAKEN', 'This username is already taken');
+  }
+
+  const user = users.add({
+    username: normalized,
+    passwordHash: hashPassword(password),
+    role: users.count() === 0 ? 'admin' : DEFAULT_ROLE,
+    createdAt: new Date().toISOString()
+  });
+
+  logger.info('User registered', { username: user.username, role: user.role });
+  sendJson(res, 201, { user: toPublicUser(user), token: sessions.create(user.id) });
+};
+
+const login = async ({ users, sessions }, req, res) => {
+  const { username, password } = await readJson(req);
+  const user = typeof username === 'string' && users.findByUsername(normalizeUsername(username));
+
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    logger.warn('Login failed', { username: typeof username === 'string' ? username : null });
+    throw new HttpError(401, 'INVALID_CREDENTIALS', 'Incorrect username or password');
+  }
+
+  logger.info('User logged in', { username: user.username });
+  sendJson(res, 200, { user: toPublicUser(user), token: sessions.create(user.id) });
+};
+
+const logout = (ctx, req, res) => {
+  const user = requireUser(ctx, req);
+  ctx.sessions.revoke(bearerToken(req));
+  logger.info('User logged out', { username: user.username });
+  sendNoContent(res);
+};
+
+const updateRole = async ({ users }, req, res, id) => {
+  const { role } = await readJson(req);
+  throwIfInvalid(validateRole(role));
+
+  const user = users.findById(id);
+  if (!user) {
+    throw new HttpError(404, 'USER_NOT_FOUND', 'No such user');
+  }
+
+  if (isAdmin(user) && role !== 'admin' && users.list().filter(isAdmin).length === 1) {
+    throw new HttpError(409, 'LAST_ADMIN', 'Promote another admin before changing this role');
+  }
+
+  const updated = users.update(id, u => ({ ...u, role }));
+  logger.info('User role changed', { username: updated.username, role });
+  sendJson(res, 200, toPublicUser(updated));
+};
+
+const route = async (ctx, req, res) => {
+  if (req.method === 'OPTIONS') {
+    sendNoContent(res);
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const [resource, id, ...rest] = pathname.split('/').slice(2).filter(Boolean);
+
+  if (rest.length === 0 && !id) {
+    if (resource === 'register' && req.method === 'POST') return register(ctx, req, res);
+    if (resource === 'login' && req.method === 'POST') return login(ctx, req, res);
+    if (resource === 'logout' && req.method === 'POST') return logout(ctx, req, res);
+    if (resource === 'me' && req.method === 'GET') return sendJson(res, 200, toPublicUser(requireUser(ctx, req)));
+
+    if (resource === 'users' && req.method === 'GET') {
+      requireAdmin(ctx, req);
+      return sendJson(res, 200, ctx.users.list().map(toPublicUser));
+    }
+  }
+
+  if (resource === 'users' && id && rest.length === 0 && req.method === 'PATCH') {
+    requireAdmin(ctx, req);
+    return updateRole(ctx, req, res, Number(id));
+  }
+
+  throw new HttpError(404, 'ROUTE_NOT_FOUND', 'Route not found');
+};
+
+// `/auth/register`, `/auth/login`, `/auth/logout`, `/auth/me` and the admin-only
+// `/auth/users` listing and `PATCH /auth/users/:id { role }`
+export const createAuthHandler = (ctx) => withErrors((req, res) => route(ctx, req, res), 'Auth request failed');
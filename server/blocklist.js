@@ -0,0 +1,11 @@
+import fs from 'node:fs';
+import { logger } from '../logger.js';
+import { parseBlocklist } from '../urlSafety.js';
+
+export const loadBlocklist = (filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) return [];
+
+  const domains = parseBlocklist(fs.readFileSync(filePath, 'utf8'));
+  logger.info('Domain blocklist loaded', { filePath, count: domains.length });
+  return domains;
+};
@@ -0,0 +1,17 @@
+import { HttpError, sendJson, sendNoContent, withErrors } from './http.js';
+
+// Settings the browser needs to validate input the way the server will.
+// Regexes don't survive JSON, so `pattern` is sent as its source.
+const getConfig = ({ shortcodeRules }, res) => {
+  sendJson(res, 200, {
+    shortcodeRules: { ...shortcodeRules, pattern: shortcodeRules.pattern.source }
+  });
+};
+
+const route = (ctx, req, res) => {
+  if (req.method === 'OPTIONS') return sendNoContent(res);
+  if (req.method === 'GET') return getConfig(ctx, res);
+  throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+};
+
+export const createConfigHandler = (ctx) => withErrors((req, res) => route(ctx, req, res), 'Config request failed');
@@ -0,0 +1,135 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { logger } from '../logger.js';
+import { DEFAULT_DOMAIN, normalizeDomain, validateDomain } from '../shortener.js';
+import { requireAdmin, requireUser } from './auth.js';
+import { HttpError, readJson, sendJson, sendNoContent, withErrors } from './http.js';
+
+// Branded short domains, persisted as `{ domains, defaultDomain }`
+export const createDomainRegistry = ({ filePath } = {}) => {
+  let state = filePath && fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    : { domains: [DEFAULT_DOMAIN], defaultDomain: DEFAULT_DOMAIN };
+
+  const persist = () => {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(state));
+  };
+
+  const registry = {
+    list: () => state.domains,
+    has: (domain) => state.domains.includes(domain),
+    getDefault: () => state.defaultDomain,
+
+    // Unregistered hosts (e.g. `localhost` during development) fall back to the default
+    resolve: (domain) => (typeof domain === 'string' && registry.has(normalizeDomain(domain)) ? normalizeDomain(domain) : state.defaultDomain),
+
+    add: (domain) => {
+      state = { ...state, domains: [...state.domains, domain] };
+      persist();
+    },
+
+    remove: (domain) => {
+      state = { ...state, domains: state.domains.filter(d => d !== domain) };
+      persist();
+    },
+
+    setDefault: (domain) => {
+      state = { ...state, defaultDomain: domain };
+      persist();
+    },
+
+    toJSON: () => state
+  };
+
+  return registry;
+};
+
+const findDomain = (domains, domain) => {
+  if (!domains.has(domain)) {
+    throw new HttpError(404, 'DOMAIN_NOT_FOUND', `No domain "${domain}" is registered`);
+  }
+  return domain;
+};
+
+const addDomain = async ({ domains }, req, res) => {
+  const body = await readJson(req);
+  const error = validateDomain(body.domain);
+  if (error) throw new HttpError(400, error.code, error.message);
+
+  const domain = normalizeDomain(body.domain);
+  if (domains.has(domain)) {
+    throw new HttpError(409, 'DOMAIN_EXISTS', `"${domain}" is already registered`);
+  }
+
+  domains.add(domain);
+  if (body.isDefault === true) domains.setDefault(domain);
+
+  logger.info('Domain added', { domain, isDefault: body.isDefault === true });
+  sendJson(res, 201, domains.toJSON());
+};
+
+const updateDomain = async ({ domains }, req, res, domain) => {
+  const body = await readJson(req);
+
+  if (body.isDefault !== true) {
+    throw new HttpError(400, 'INVALID_BODY', 'Only { "isDefault": true } is supported');
+  }
+
+  domains.setDefault(domain);
+  logger.info('Default domain changed', { domain });
+  sendJson(res, 200, domains.toJSON());
+};
+
+const removeDomain = ({ store, domains }, res, domain) => {
+  if (domain === domains.getDefault()) {
+    throw new HttpError(409, 'DOMAIN_IS_DEFAULT', 'Choose another default domain before removing this one');
+  }
+
+  const linkCount = store.list().filter(url => url.domain === domain).length;
+  if (linkCount > 0) {
+    throw new HttpError(409, 'DOMAIN_IN_USE', `${linkCount} links still use "${domain}"`);
+  }
+
+  domains.remove(domain);
+  logger.info('Domain removed', { domain });
+  sendJson(res, 200, domains.toJSON());
+};
+
+const route = async (ctx, req, res) => {
+  if (req.method === 'OPTIONS') {
+    sendNoContent(res);
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const [domain, ...rest] = pathname.split('/').slice(2).filter(Boolean).map(segment => decodeURIComponent(segment));
+
+  if (rest.length > 0) {
+    throw new HttpError(404, 'ROUTE_NOT_FOUND', 'Route not found');
+  }
+
+  if (!domain) {
+    if (req.method === 'GET') {
+      requireUser(ctx, req);
+      return sendJson(res, 200, ctx.domains.toJSON());
+    }
+
+    if (req.method === 'POST') {
+      requireAdmin(ctx, req);
+      return addDomain(ctx, req, res);
+    }
+  } else {
+    requireAdmin(ctx, req);
+    findDomain(ctx.domains, domain);
+    if (req.method === 'PATCH') return updateDomain(ctx, req, res, domain);
+    if (req.method === 'DELETE') return removeDomain(ctx, res, domain);
+  }
+
+  throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+};
+
+// REST API for `/domains`; every successful call answers with the full registry.
+// Any logged-in user can read it, only admins can change it.
+export const createDomainsHandler = (ctx) => withErrors((req, res) => route(ctx, req, res), 'Domain request failed');
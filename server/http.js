@@ -0,0 +1,85 @@
+import { logger } from '../logger.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+export class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+export const sendJson = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+};
+
+export const sendNoContent = (res) => {
+  res.writeHead(204, CORS_HEADERS);
+  res.end();
+};
+
+export const sendError = (res, status, code, message, details) => {
+  sendJson(res, status, { error: { code, message, details } });
+};
+
+// Turns a `(req, res)` route into a request handler that answers thrown
+// HttpErrors with their status and logs anything unexpected under `label`
+export const withErrors = (route, label) => (req, res) => {
+  Promise.resolve().then(() => route(req, res)).catch(err => {
+    if (err instanceof HttpError) {
+      sendError(res, err.status, err.code, err.message, err.details);
+      return;
+    }
+
+    if (err instanceof URIError) {
+      sendError(res, 400, 'INVALID_PATH', 'Request path is not valid');
+      return;
+    }
+
+    logger.error(label, { method: req.method, url: req.url, error: err.message });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Something went wrong');
+  });
+};
+
+const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  let body = '';
+
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > maxBytes) {
+      reject(new HttpError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+export const readJson = (req, { maxBytes = MAX_BODY_BYTES } = {}) => readBody(req, maxBytes).then(body => {
+  if (!body) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (_) {
+    throw new HttpError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new HttpError(400, 'INVALID_BODY', 'Request body must be a JSON object');
+  }
+
+  return parsed;
+});
+
+export const readForm = (req) => readBody(req, MAX_BODY_BYTES).then(body => new URLSearchParams(body));
@@ -0,0 +1,62 @@
+import http from 'node:http';
+import { consoleSink, logger } from '../logger.js';
+import { createShortcodeGenerator } from '../shortcodes.js';
+import { createShortcodeRules } from '../shortener.js';
+import { createDestinationChecker } from '../urlSafety.js';
+import { createApp } from './app.js';
+import { startArchiveSweep } from './archive.js';
+import { loadBlocklist } from './blocklist.js';
+import { createDomainRegistry } from './domains.js';
+import { createRateLimiter } from './rateLimit.js';
+import { createStore } from './store.js';
+import { createUserStore } from './users.js';
+
+const PORT = Number(process.env.PORT) || 3001;
+const DATA_FILE = process.env.DATA_FILE || 'data/urls.json';
+const BLOCKLIST_FILE = process.env.BLOCKLIST_FILE || 'data/blocklist.txt';
+const DOMAINS_FILE = process.env.DOMAINS_FILE || 'data/domains.json';
+const USERS_FILE = process.env.USERS_FILE || 'data/users.json';
+
+logger.configure({
+  minLevel: process.env.LOG_LEVEL || 'info',
+  sinks: [consoleSink({ json: process.env.LOG_FORMAT === 'json' })]
+});
+
+const store = createStore({ filePath: DATA_FILE });
+const domains = createDomainRegistry({ filePath: DOMAINS_FILE });
+const users = createUserStore({ filePath: USERS_FILE });
+const checkDestination = createDestinationChecker({
+  ownHosts: () => domains.list(),
+  blockedDomains: loadBlocklist(BLOCKLIST_FILE)
+});
+const generateShortcode = createShortcodeGenerator({
+  strategy: process.env.SHORTCODE_STRATEGY || 'random',
+  length: Number(process.env.SHORTCODE_LENGTH) || 6,
+  alphabet: process.env.SHORTCODE_ALPHABET || undefined
+});
+const shortcodeRules = createShortcodeRules({
+  minLength: process.env.SHORTCODE_MIN_LENGTH ? Number(process.env.SHORTCODE_MIN_LENGTH) : undefined,
+  maxLength: process.env.SHORTCODE_MAX_LENGTH ? Number(process.env.SHORTCODE_MAX_LENGTH) : undefined,
+  pattern: process.env.SHORTCODE_PATTERN || undefined,
+  description: process.env.SHORTCODE_PATTERN_DESCRIPTION || undefined
+});
+// Per minute; 0 turns a limit off
+const rateLimits = {
+  create: createRateLimiter({ limit: Number(process.env.CREATE_RATE_LIMIT ?? 30) }),
+  click: createRateLimiter({ limit: Number(process.env.CLICK_RATE_LIMIT ?? 10) }),
+  password: createRateLimiter({ limit: Number(process.env.PASSWORD_RATE_LIMIT ?? 5) })
+};
+const server = http.createServer(createApp(store, {
+  domains,
+  users,
+  rateLimits,
+  checkDestination,
+  generateShortcode,
+  shortcodeRules
+}));
+
+startArchiveSweep(store);
+
+server.listen(PORT, () => {
+  logger.info('Server listening', { port: PORT, dataFile: DATA_FILE });
+});
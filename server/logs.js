@@ -0,0 +1,38 @@
+import { LEVELS, logger } from '../logger.js';
+import { requireUser } from './auth.js';
+import { HttpError, readJson, sendNoContent, withErrors } from './http.js';
+
+const MAX_LOG_BYTES = 256 * 1024;
+const MAX_ENTRIES = 500;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isValidEntry = (entry) => isPlainObject(entry)
+  && Object.hasOwn(LEVELS, entry.level)
+  && typeof entry.message === 'string'
+  && (entry.data === undefined || isPlainObject(entry.data));
+
+// Receives batches from the browser's HTTP log sink and replays them through
+// the server logger, tagged with `source: 'client'` and the sender. Only
+// logged-in users may write to the server log.
+const ingestLogs = async (req, res, user) => {
+  const { entries } = await readJson(req, { maxBytes: MAX_LOG_BYTES });
+
+  if (!Array.isArray(entries) || entries.length > MAX_ENTRIES || !entries.every(isValidEntry)) {
+    throw new HttpError(400, 'INVALID_LOGS', `Expected up to ${MAX_ENTRIES} entries with a level, message and optional data object`);
+  }
+
+  entries.forEach(({ level, message, data, timestamp }) => {
+    logger.log(level, message, { ...data, source: 'client', username: user.username, clientTimestamp: timestamp });
+  });
+
+  sendNoContent(res);
+};
+
+const route = (ctx, req, res) => {
+  if (req.method === 'OPTIONS') return sendNoContent(res);
+  if (req.method === 'POST') return ingestLogs(req, res, requireUser(ctx, req));
+  throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+};
+
+export const createLogsHandler = (ctx) => withErrors((req, res) => route(ctx, req, res), 'Log ingestion failed');
@@ -0,0 +1,70 @@
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderPage = (status, title, message, extra = '') => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${status} - ${escapeHtml(title)}</title>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; font-family: system-ui, sans-serif; background: linear-gradient(to bottom right, #eff6ff, #e0e7ff); }
+    main { background: #fff; border-radius: 0.75rem; box-shadow: 0 10px 15px rgba(0, 0, 0, 0.1); padding: 2rem; max-width: 28rem; text-align: center; }
+    .status { font-size: 3rem; font-weight: 700; color: #1f2937; margin: 0; }
+    h1 { font-size: 1.5rem; color: #1f2937; }
+    p { color: #4b5563; }
+    form { display: flex; gap: 0.5rem; margin-top: 1rem; }
+    input { flex: 1; padding: 0.5rem 0.75rem; border: 1px solid #d1d5db; border-radius: 0.5rem; }
+    button { padding: 0.5rem 1rem; border: 0; border-radius: 0.5rem; background: #2563eb; color: #fff; cursor: pointer; }
+    .error { color: #dc2626; }
+  </style>
+</head>
+<body>
+  <main>
+    <p class="status">${status}</p>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${message}</p>
+    ${extra}
+  </main>
+</body>
+</html>
+`;
+
+export const notFoundPage = (shortcode) => renderPage(
+  404,
+  'Short URL not found',
+  `No link exists for <strong>${escapeHtml(shortcode)}</strong>.`
+);
+
+export const expiredPage = (shortcode) => renderPage(
+  410,
+  'Short URL expired',
+  `The link <strong>${escapeHtml(shortcode)}</strong> is no longer available.`
+);
+
+export const tooManyAttemptsPage = (shortcode) => renderPage(
+  429,
+  'Too many attempts',
+  `Too many wrong passwords for <strong>${escapeHtml(shortcode)}</strong>. Please try again in a minute.`
+);
+
+export const limitReachedPage = (shortcode) => renderPage(
+  410,
+  'Short URL unavailable',
+  `The link <strong>${escapeHtml(shortcode)}</strong> has reached its click limit.`
+);
+
+export const passwordPage = (shortcode, error) => renderPage(
+  401,
+  'Password required',
+  `The link <strong>${escapeHtml(shortcode)}</strong> is password protected.`,
+  `${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="POST">
+      <input type="password" name="password" placeholder="Password" autofocus required>
+      <button type="submit">Continue</button>
+    </form>`
+);
@@ -0,0 +1,31 @@
+const PRUNE_THRESHOLD = 10000;
+
+// Fixed-window counter per key, kept in memory. A `limit` of 0 disables it.
+export const createRateLimiter = ({ limit, windowMs = 60 * 1000 }) => {
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`Rate limit must be a whole number of requests, got "${limit}"`);
+  }
+
+  const windows = new Map();
+
+  const prune = (now) => {
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+  };
+
+  return {
+    // Counts one hit for `key`; `retryAfterMs` says when the window reopens
+    consume: (key, now = Date.now()) => {
+      if (!limit) return { allowed: true, retryAfterMs: 0 };
+      if (windows.size > PRUNE_THRESHOLD) prune(now);
+
+      const current = windows.get(key);
+      const window = current && current.resetAt > now ? current : { count: 0, resetAt: now + windowMs };
+      window.count += 1;
+      windows.set(key, window);
+
+      return { allowed: window.count <= limit, retryAfterMs: window.resetAt - now };
+    }
+  };
+};
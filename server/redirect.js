@@ -0,0 +1,125 @@
+import { logger } from '../logger.js';
+import { isClickLimitReached, isExpired, recordClick } from '../shortener.js';
+import { readForm } from './http.js';
+import { expiredPage, limitReachedPage, notFoundPage, passwordPage, tooManyAttemptsPage } from './pages.js';
+import { verifyPassword } from './passwords.js';
+import { clientIp, visitorId } from './visitors.js';
+
+const sendHtml = (req, res, status, html) => {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(req.method === 'HEAD' ? undefined : html);
+};
+
+const parseShortcode = (pathname) => {
+  try {
+    return decodeURIComponent(pathname.replace(/^\/+|\/+$/g, ''));
+  } catch (_) {
+    return null;
+  }
+};
+
+const hostnameOf = (host) => {
+  try {
+    return new URL(`http://${host}`).hostname;
+  } catch (_) {
+    return null;
+  }
+};
+
+// Throttled visitors are still redirected, their clicks just aren't counted
+const countClick = (store, rateLimits, req, url, now) => {
+  if (!rateLimits.click.consume(`${url.id}:${clientIp(req)}`).allowed) {
+    logger.debug('Click not counted - rate limited', { shortcode: url.shortcode });
+    return url;
+  }
+
+  return store.update(url.id, u => recordClick(u, {
+    timestamp: now,
+    userAgent: req.headers['user-agent'] || '',
+    referrer: req.headers.referer || 'Direct',
+    visitorId: visitorId(req)
+  }));
+};
+
+const redirect = (store, rateLimits, req, res, url, now) => {
+  if (req.method !== 'HEAD') {
+    const updated = countClick(store, rateLimits, req, url, now);
+
+    logger.info('Redirecting short URL', {
+      shortcode: url.shortcode,
+      totalClicks: updated.clicks,
+      originalUrl: url.originalUrl
+    });
+  }
+
+  res.writeHead(302, { Location: url.originalUrl });
+  res.end();
+};
+
+// Resolves `GET /:shortcode` to a 302 redirect, or a 404/410 page. Password
+// protected links answer with a form that posts back to the same path. The
+// `Host` header picks the domain the shortcode is looked up on.
+export const createRedirectHandler = (store, { domains, rateLimits }) => (req, res) => {
+  if (!['GET', 'HEAD', 'POST'].includes(req.method)) {
+    res.writeHead(405, { Allow: 'GET, HEAD, POST' });
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const shortcode = parseShortcode(pathname);
+  const domain = domains.resolve(hostnameOf(req.headers.host));
+  const url = shortcode && store.findByShortcode(shortcode, domain);
+
+  if (!url) {
+    logger.warn('Redirect failed - unknown shortcode', { shortcode, domain });
+    sendHtml(req, res, 404, notFoundPage(shortcode ?? pathname));
+    return;
+  }
+
+  const now = new Date();
+
+  if (isExpired(url, now)) {
+    logger.warn('Redirect failed - expired', { shortcode });
+    sendHtml(req, res, 410, expiredPage(shortcode));
+    return;
+  }
+
+  if (isClickLimitReached(url)) {
+    logger.warn('Redirect failed - click limit reached', { shortcode, maxClicks: url.maxClicks });
+    sendHtml(req, res, 410, limitReachedPage(shortcode));
+    return;
+  }
+
+  if (!url.passwordHash) {
+    redirect(store, rateLimits, req, res, url, now);
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendHtml(req, res, 401, passwordPage(shortcode));
+    return;
+  }
+
+  // Checked before hashing, so guesses can't tie up the event loop either
+  const attempt = rateLimits.password.consume(`${url.id}:${clientIp(req)}`);
+  if (!attempt.allowed) {
+    logger.warn('Redirect failed - too many password attempts', { shortcode, ip: clientIp(req) });
+    res.setHeader('Retry-After', Math.ceil(attempt.retryAfterMs / 1000));
+    sendHtml(req, res, 429, tooManyAttemptsPage(shortcode));
+    return;
+  }
+
+  readForm(req).then(form => {
+    if (!verifyPassword(form.get('password'), url.passwordHash)) {
+      logger.warn('Redirect failed - incorrect password', { shortcode });
+      sendHtml(req, res, 401, passwordPage(shortcode, 'Incorrect password'));
+      return;
+    }
+
+    redirect(store, rateLimits, req, res, url, now);
+  }).catch(err => {
+    logger.error('Redirect failed', { shortcode, error: err.message });
+    sendHtml(req, res, err.status || 500, passwordPage(shortcode, 'Something went wrong'));
+  });
+};
@@ -0,0 +1,98 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { linkKey } from '../shortener.js';
+import { deserializeUrls, serializeUrls } from '../storage.js';
+
+// In-memory URL store, optionally persisted to a JSON file in the same
+// versioned format the browser uses for localStorage
+export const createStore = ({ filePath } = {}) => {
+  let urls = filePath && fs.existsSync(filePath)
+    ? deserializeUrls(fs.readFileSync(filePath, 'utf8'))
+    : [];
+  const byLink = new Map(urls.map(url => [linkKey(url.domain, url.shortcode), url]));
+
+  // Mutations only touch the index entries of the links they change. Old keys
+  // go first, so links swapping shortcodes in one batch keep both entries.
+  const reindex = (removed, added) => {
+    removed.forEach(url => byLink.delete(linkKey(url.domain, url.shortcode)));
+    added.forEach(url => byLink.set(linkKey(url.domain, url.shortcode), url));
+  };
+
+  // Applies `updater` to the links in `idSet` and returns the updated records
+  const replaceWhere = (idSet, updater) => {
+    const before = [];
+    const after = [];
+
+    urls = urls.map(url => {
+      if (!idSet.has(url.id)) return url;
+      const updated = updater(url);
+      before.push(url);
+      after.push(updated);
+      return updated;
+    });
+
+    reindex(before, after);
+    return after;
+  };
+
+  const removeWhere = (idSet) => {
+    reindex(urls.filter(url => idSet.has(url.id)), []);
+    urls = urls.filter(url => !idSet.has(url.id));
+  };
+
+  const persist = () => {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, serializeUrls(urls));
+  };
+
+  let lastId = urls.reduce((max, url) => Math.max(max, url.id), 0);
+
+  return {
+    // Millisecond timestamps, bumped when several links are created in the same tick
+    nextId: () => {
+      lastId = Math.max(Date.now(), lastId + 1);
+      return lastId;
+    },
+
+    list: () => urls,
+
+    findByShortcode: (shortcode, domain) => byLink.get(linkKey(domain, shortcode)),
+
+    update: (id, updater) => {
+      const [updated] = replaceWhere(new Set([id]), updater);
+      persist();
+      return updated;
+    },
+
+    updateMany: (ids, updater) => {
+      const updated = replaceWhere(new Set(ids), updater);
+      persist();
+      return updated;
+    },
+
+    add: (url) => {
+      urls = [url, ...urls];
+      reindex([], [url]);
+      persist();
+      return url;
+    },
+
+    addMany: (newUrls) => {
+      urls = [...newUrls, ...urls];
+      reindex([], newUrls);
+      persist();
+      return newUrls;
+    },
+
+    remove: (id) => {
+      removeWhere(new Set([id]));
+      persist();
+    },
+
+    removeMany: (ids) => {
+      removeWhere(new Set(ids));
+      persist();
+    }
+  };
+};
@@ -0,0 +1,42 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Local accounts persisted as a JSON array of
+// `{ id, username, passwordHash, role, createdAt }`
+export const createUserStore = ({ filePath } = {}) => {
+  let users = filePath && fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    : [];
+
+  const persist = () => {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(users));
+  };
+
+  let lastId = users.reduce((max, user) => Math.max(max, user.id), 0);
+
+  return {
+    list: () => users,
+
+    count: () => users.length,
+
+    findById: (id) => users.find(user => user.id === id),
+
+    findByUsername: (username) => users.find(user => user.username === username),
+
+    add: (user) => {
+      lastId += 1;
+      const created = { id: lastId, ...user };
+      users = [...users, created];
+      persist();
+      return created;
+    },
+
+    update: (id, updater) => {
+      users = users.map(user => (user.id === id ? updater(user) : user));
+      persist();
+      return users.find(user => user.id === id);
+    }
+  };
+};
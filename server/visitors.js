@@ -0,0 +1,13 @@
+import crypto from 'node:crypto';
+
+// Salted per process, so stored visitor ids can't be traced back to an address
+const SALT = process.env.VISITOR_SALT || crypto.randomBytes(16).toString('hex');
+
+export const clientIp = (req) => req.socket.remoteAddress || 'unknown';
+
+// Only the connection's address, since user agents are whatever the client says they are
+export const visitorId = (req) => crypto
+  .createHash('sha256')
+  .update(`${SALT}|${clientIp(req)}`)
+  .digest('hex')
+  .slice(0, 16);
@@ -0,0 +1,110 @@
+import { isReservedShortcode } from './shortener.js';
+
+export const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Base62 without 0/O and 1/l/I, for codes that get read aloud or retyped
+export const READABLE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+export const SHORTCODE_STRATEGIES = {
+  random: BASE62_ALPHABET,
+  readable: READABLE_ALPHABET,
+  sequential: BASE62_ALPHABET
+};
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 20;
+const MAX_RANDOM_ATTEMPTS = 100;
+
+const PROFANITY = [
+  'anal', 'anus', 'arse', 'ass', 'bitch', 'boob', 'butt', 'cock', 'cum', 'cunt', 'dick', 'dildo', 'fag',
+  'fuck', 'jizz', 'nazi', 'penis', 'piss', 'porn', 'pussy', 'rape', 'sex', 'shit', 'slut', 'tit', 'twat',
+  'vagina', 'whore'
+];
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b' };
+
+// Also catches digit spellings such as "5h1t" or "a55"
+export const containsProfanity = (code) => {
+  const normalized = code.toLowerCase().replace(/[0134578]/g, digit => LOOKALIKES[digit]);
+  return PROFANITY.some(word => normalized.includes(word));
+};
+
+// Rejection sampling keeps every character equally likely
+const randomIndexes = (count, size) => {
+  const limit = 256 - (256 % size);
+  const indexes = [];
+
+  while (indexes.length < count) {
+    for (const byte of crypto.getRandomValues(new Uint8Array(count * 2))) {
+      if (byte < limit && indexes.length < count) indexes.push(byte % size);
+    }
+  }
+
+  return indexes;
+};
+
+export const randomShortcode = ({ length, alphabet }) => (
+  randomIndexes(length, alphabet.length).map(index => alphabet[index]).join('')
+);
+
+// BigInt keeps long codes exact: 62 ** 9 is already past Number.MAX_SAFE_INTEGER
+export const encodeNumber = (value, alphabet = BASE62_ALPHABET) => {
+  const base = BigInt(alphabet.length);
+  let encoded = '';
+  let rest = BigInt(value);
+
+  do {
+    encoded = alphabet[Number(rest % base)] + encoded;
+    rest /= base;
+  } while (rest > 0n);
+
+  return encoded;
+};
+
+const validateOptions = ({ strategy, length, alphabet }) => {
+  if (!Object.hasOwn(SHORTCODE_STRATEGIES, strategy)) {
+    throw new Error(`Unknown shortcode strategy "${strategy}" (expected ${Object.keys(SHORTCODE_STRATEGIES).join(', ')})`);
+  }
+
+  if (!Number.isInteger(length) || length < MIN_LENGTH || length > MAX_LENGTH) {
+    throw new Error(`Shortcode length must be between ${MIN_LENGTH} and ${MAX_LENGTH}`);
+  }
+
+  if (!/^[a-zA-Z0-9]{2,}$/.test(alphabet) || new Set(alphabet).size !== alphabet.length) {
+    throw new Error('Shortcode alphabet must be at least two distinct letters or digits');
+  }
+};
+
+// Returns `(isShortcodeUnique) => shortcode`, or null when no free code turned
+// up. Sequential codes count up from the first `length`-character value and
+// skip anything already taken, so a restart just walks past existing codes.
+export const createShortcodeGenerator = ({
+  strategy = 'random',
+  length = 6,
+  alphabet = SHORTCODE_STRATEGIES[strategy],
+  filterProfanity = true
+} = {}) => {
+  validateOptions({ strategy, length, alphabet });
+
+  const isAcceptable = (code) => !isReservedShortcode(code) && !(filterProfanity && containsProfanity(code));
+
+  if (strategy === 'sequential') {
+    let next = BigInt(alphabet.length) ** BigInt(length - 1);
+
+    return (isShortcodeUnique) => {
+      let code;
+      do {
+        code = encodeNumber(next++, alphabet);
+      } while (code.length <= MAX_LENGTH && !(isAcceptable(code) && isShortcodeUnique(code)));
+      return code.length <= MAX_LENGTH ? code : null;
+    };
+  }
+
+  return (isShortcodeUnique) => {
+    for (let attempt = 0; attempt < MAX_RANDOM_ATTEMPTS; attempt++) {
+      const code = randomShortcode({ length, alphabet });
+      if (isAcceptable(code) && isShortcodeUnique(code)) return code;
+    }
+    return null;
+  };
+};
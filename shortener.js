@@ -0,0 +1,279 @@
+import { isBotUserAgent } from './userAgent.js';
+
+export const DEFAULT_DOMAIN = 'short.ly';
+export const DEFAULT_VALIDITY_PERIOD = 30;
+export const MAX_VALIDITY_PERIOD = 525600;
+export const MAX_CAMPAIGN_LENGTH = 100;
+export const MIN_PASSWORD_LENGTH = 4;
+export const MAX_PASSWORD_LENGTH = 128;
+export const MAX_CLICK_LIMIT = 1000000000;
+
+// Minutes a link stays expired before it is moved to the archive
+export const ARCHIVE_GRACE_PERIOD = 7 * 24 * 60;
+
+// Repeat clicks from the same visitor within this many minutes only add to the total
+export const UNIQUE_CLICK_WINDOW = 24 * 60;
+
+const MINUTE_MS = 60 * 1000;
+
+export const UTM_FIELDS = ['source', 'medium', 'campaign'];
+
+// Rules for custom shortcodes. `pattern` must agree with `description`, which
+// is shown as the input hint and in validation errors.
+export const DEFAULT_SHORTCODE_RULES = {
+  minLength: 3,
+  maxLength: 20,
+  pattern: /^[a-zA-Z0-9]+(?:[-_][a-zA-Z0-9]+)*$/,
+  description: 'letters, numbers, and single hyphens or underscores between them'
+};
+
+// Overrides the defaults with configured rules. A custom `pattern` is a regex
+// source matched against the whole shortcode and needs its own `description`.
+export const createShortcodeRules = ({ minLength, maxLength, pattern, description } = {}) => {
+  const rules = {
+    minLength: minLength ?? DEFAULT_SHORTCODE_RULES.minLength,
+    maxLength: maxLength ?? DEFAULT_SHORTCODE_RULES.maxLength,
+    pattern: pattern ? new RegExp(`^(?:${pattern})$`) : DEFAULT_SHORTCODE_RULES.pattern,
+    description: pattern ? description : description ?? DEFAULT_SHORTCODE_RULES.description
+  };
+
+  if (!Number.isInteger(rules.minLength) || !Number.isInteger(rules.maxLength)
+    || rules.minLength < 1 || rules.minLength > rules.maxLength) {
+    throw new Error(`Shortcode lengths must be whole numbers with 1 <= min <= max, got ${minLength}-${maxLength}`);
+  }
+
+  if (!rules.description) {
+    throw new Error('A custom shortcode pattern needs a description');
+  }
+
+  return rules;
+};
+
+// Path segments the server routes itself, so they can never resolve as a shortcode
+const RESERVED_SHORTCODES = ['shorturls', 'logs', 'domains', 'auth', 'config'];
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+export const buildShortUrl = (shortcode, domain = DEFAULT_DOMAIN) => `https://${domain}/${shortcode}`;
+
+// Shortcodes are unique per domain, so lookups key on both
+export const linkKey = (domain, shortcode) => `${domain}/${shortcode}`;
+
+export const normalizeDomain = (domain) => domain.trim().toLowerCase();
+
+export const validateDomain = (domain) => {
+  if (typeof domain !== 'string' || !DOMAIN_PATTERN.test(normalizeDomain(domain))) {
+    return { code: 'INVALID_DOMAIN', message: 'Please enter a domain name such as links.example.com' };
+  }
+
+  return null;
+};
+
+export const isReservedShortcode = (shortcode) => RESERVED_SHORTCODES.includes(shortcode.toLowerCase());
+
+// Validity periods, grace periods and extensions are all counted in minutes
+export const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * MINUTE_MS);
+
+// `(shortcode, domain) => boolean` over a snapshot of `urls`
+export const createUniquenessCheck = (urls) => {
+  const taken = new Set(urls.map(url => linkKey(url.domain, url.shortcode)));
+  return (shortcode, domain = DEFAULT_DOMAIN) => !taken.has(linkKey(domain, shortcode));
+};
+
+export const describeShortcodeRules = (rules = DEFAULT_SHORTCODE_RULES) => (
+  `${rules.minLength}-${rules.maxLength} characters, ${rules.description}`
+);
+
+export const isValidUrl = (string) => {
+  try {
+    new URL(string);
+    return true;
+  } catch (_) {
+    return false;
+  }
+};
+
+// Validators return `{ code, message }` on failure and null when the value is acceptable
+export const validateOriginalUrl = (originalUrl) => {
+  if (typeof originalUrl !== 'string' || !originalUrl.trim()) {
+    return { code: 'URL_REQUIRED', message: 'Please enter a URL' };
+  }
+
+  if (!isValidUrl(originalUrl.trim())) {
+    return { code: 'INVALID_URL', message: 'Please enter a valid URL' };
+  }
+
+  return null;
+};
+
+export const validateShortcode = (shortcode, isShortcodeUnique, rules = DEFAULT_SHORTCODE_RULES) => {
+  if (typeof shortcode !== 'string' || shortcode.length < rules.minLength || shortcode.length > rules.maxLength) {
+    return {
+      code: 'SHORTCODE_LENGTH',
+      message: `Custom shortcode must be between ${rules.minLength}-${rules.maxLength} characters`
+    };
+  }
+
+  if (!rules.pattern.test(shortcode)) {
+    return { code: 'SHORTCODE_CHARACTERS', message: `Custom shortcode can only contain ${rules.description}` };
+  }
+
+  if (isReservedShortcode(shortcode)) {
+    return { code: 'SHORTCODE_RESERVED', message: 'This shortcode is reserved. Please choose another one.' };
+  }
+
+  if (!isShortcodeUnique(shortcode)) {
+    return { code: 'SHORTCODE_TAKEN', message: 'This shortcode is already taken. Please choose another one.' };
+  }
+
+  return null;
+};
+
+export const validateValidityPeriod = (minutes) => {
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_VALIDITY_PERIOD) {
+    return { code: 'INVALID_VALIDITY', message: `Validity period must be between 1 and ${MAX_VALIDITY_PERIOD} minutes` };
+  }
+
+  return null;
+};
+
+export const validateExpiresAt = (value) => {
+  const expiresAt = value instanceof Date ? value : new Date(value);
+
+  if ((typeof value !== 'string' && !(value instanceof Date)) || Number.isNaN(expiresAt.getTime())) {
+    return { code: 'INVALID_EXPIRY', message: 'Please enter a valid expiry date' };
+  }
+
+  return null;
+};
+
+export const validateCampaign = (campaign) => {
+  if (campaign !== null && (typeof campaign !== 'string' || campaign.trim().length > MAX_CAMPAIGN_LENGTH)) {
+    return { code: 'INVALID_CAMPAIGN', message: `Campaign must be at most ${MAX_CAMPAIGN_LENGTH} characters` };
+  }
+
+  return null;
+};
+
+export const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return {
+      code: 'INVALID_PASSWORD',
+      message: `Password must be between ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`
+    };
+  }
+
+  return null;
+};
+
+export const validateMaxClicks = (maxClicks) => {
+  if (maxClicks !== null && (!Number.isInteger(maxClicks) || maxClicks < 1 || maxClicks > MAX_CLICK_LIMIT)) {
+    return { code: 'INVALID_MAX_CLICKS', message: 'Click limit must be a whole number of at least 1' };
+  }
+
+  return null;
+};
+
+// Everything a new link needs checked, in the order the form shows the fields.
+// An empty shortcode means one will be generated; `password: null` means none.
+export const validateNewUrl = (
+  { originalUrl, shortcode, validityPeriod, campaign = null, password = null, maxClicks = null },
+  { isShortcodeUnique, checkDestination = () => null, shortcodeRules = DEFAULT_SHORTCODE_RULES }
+) => validateOriginalUrl(originalUrl)
+  || checkDestination(originalUrl)
+  || (shortcode ? validateShortcode(shortcode, isShortcodeUnique, shortcodeRules) : null)
+  || validateValidityPeriod(validityPeriod)
+  || validateCampaign(campaign)
+  || (password !== null ? validatePassword(password) : null)
+  || validateMaxClicks(maxClicks);
+
+export const normalizeCampaign = (campaign) => (typeof campaign === 'string' && campaign.trim() ? campaign.trim() : null);
+
+export const hasUtmParams = (utm) => UTM_FIELDS.some(field => utm[field]?.trim());
+
+// Sets `utm_*` query parameters, replacing any already present and keeping the hash
+export const appendUtmParams = (originalUrl, utm) => {
+  const url = new URL(originalUrl.trim());
+
+  UTM_FIELDS.forEach(field => {
+    const value = utm[field]?.trim();
+    if (value) url.searchParams.set(`utm_${field}`, value);
+  });
+
+  return url.toString();
+};
+
+export const createUrlRecord = ({
+  id,
+  originalUrl,
+  shortcode,
+  validityPeriod,
+  campaign = null,
+  maxClicks = null,
+  domain = DEFAULT_DOMAIN,
+  ownerId = null,
+  now = new Date()
+}) => ({
+  id,
+  ownerId,
+  originalUrl: originalUrl.trim(),
+  domain,
+  shortcode,
+  campaign: normalizeCampaign(campaign),
+  maxClicks,
+  shortUrl: buildShortUrl(shortcode, domain),
+  createdAt: now,
+  expiresAt: addMinutes(now, validityPeriod),
+  archivedAt: null,
+  clicks: 0,
+  uniqueClicks: 0,
+  clickHistory: []
+});
+
+export const isExpired = (url, now = new Date()) => now > url.expiresAt;
+
+// Every recorded visit counts towards the cap, bots included, so a spoofed
+// crawler user agent can't keep a capped link open
+export const isClickLimitReached = (url) => url.maxClicks != null && url.clickHistory.length >= url.maxClicks;
+
+// Links that hit their click cap behave exactly like expired ones
+export const isUnavailable = (url, now = new Date()) => isExpired(url, now) || isClickLimitReached(url);
+
+export const isArchived = (url) => Boolean(url.archivedAt);
+
+export const isArchivable = (url, now = new Date()) => (
+  !isArchived(url) && now > addMinutes(url.expiresAt, ARCHIVE_GRACE_PERIOD)
+);
+
+export const getUrlStatus = (url, now = new Date()) => {
+  if (isExpired(url, now)) return 'expired';
+  if (isClickLimitReached(url)) return 'limit-reached';
+  if (url.isProtected) return 'locked';
+  return 'active';
+};
+
+export const isRepeatVisit = (url, visitorId, now = new Date()) => {
+  if (!visitorId) return false;
+
+  const since = addMinutes(now, -UNIQUE_CLICK_WINDOW);
+  for (let i = url.clickHistory.length - 1; i >= 0 && url.clickHistory[i].timestamp >= since; i--) {
+    const click = url.clickHistory[i];
+    // A crawler sharing the visitor's address isn't an earlier visit by them
+    if (!click.isBot && click.visitorId === visitorId) return true;
+  }
+  return false;
+};
+
+// Bot clicks stay in the history but never count towards `clicks`,
+// `uniqueClicks` or the click limit
+export const recordClick = (url, { timestamp, userAgent, referrer, visitorId = null }) => {
+  const isBot = isBotUserAgent(userAgent);
+  const isUnique = !isBot && !isRepeatVisit(url, visitorId, timestamp);
+
+  return {
+    ...url,
+    clicks: isBot ? url.clicks : url.clicks + 1,
+    uniqueClicks: isUnique ? url.uniqueClicks + 1 : url.uniqueClicks,
+    clickHistory: [...url.clickHistory, { timestamp, userAgent, referrer, visitorId, isBot, isUnique }]
+  };
+};
@@ -0,0 +1,54 @@
+export const SCHEMA_VERSION = 7;
+
+// Each entry upgrades stored data from `version` to `version + 1`.
+const migrations = {
+  0: (urls) => ({ version: 1, urls }),
+  1: (urls) => ({ version: 2, urls: urls.map(url => ({ ...url, campaign: null })) }),
+  2: (urls) => ({ version: 3, urls: urls.map(url => ({ ...url, maxClicks: null })) }),
+  3: (urls) => ({ version: 4, urls: urls.map(url => ({ ...url, archivedAt: null })) }),
+  4: (urls) => ({ version: 5, urls: urls.map(url => ({ ...url, domain: new URL(url.shortUrl).hostname })) }),
+  5: (urls) => ({ version: 6, urls: urls.map(url => ({ ...url, ownerId: null })) }),
+  // Earlier clicks had no visitor to compare, so each one counts as unique
+  6: (urls) => ({
+    version: 7,
+    urls: urls.map(url => ({
+      ...url,
+      uniqueClicks: url.clicks,
+      clickHistory: url.clickHistory.map(click => ({ ...click, visitorId: null, isBot: false, isUnique: true }))
+    }))
+  })
+};
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+export const reviveUrl = (url) => ({
+  ...url,
+  createdAt: toDate(url.createdAt),
+  expiresAt: toDate(url.expiresAt),
+  archivedAt: url.archivedAt ? toDate(url.archivedAt) : null,
+  clickHistory: (url.clickHistory || []).map(click => ({
+    ...click,
+    timestamp: toDate(click.timestamp)
+  }))
+});
+
+export const serializeUrls = (urls) => JSON.stringify({ version: SCHEMA_VERSION, urls });
+
+export const deserializeUrls = (raw) => {
+  let data = JSON.parse(raw);
+
+  // Data written before versioning was a bare array of URL objects
+  if (Array.isArray(data)) {
+    data = { version: 0, urls: data };
+  }
+
+  if (data.version > SCHEMA_VERSION) {
+    throw new Error(`Unsupported storage schema version: ${data.version}`);
+  }
+
+  while (data.version < SCHEMA_VERSION) {
+    data = migrations[data.version](data.urls);
+  }
+
+  return data.urls.map(reviveUrl);
+};
@@ -0,0 +1,148 @@
+import '@testing-library/jest-dom/vitest';
+import { act, cleanup, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { api } from '../api';
+import Home from '../Home';
+import { logger } from '../logger';
+import { createUrlRecord, recordClick } from '../shortener';
+
+const START = new Date('2026-03-01T12:00:00Z');
+const ADMIN = { id: 1, username: 'alice', role: 'admin', createdAt: START.toISOString() };
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+// In-memory stand-in for the REST API, shared with the mocked module below
+const server = vi.hoisted(() => ({ urls: [], nextId: 1 }));
+
+vi.mock('../api', async () => {
+  const { DEFAULT_DOMAIN, DEFAULT_SHORTCODE_RULES } = await import('../shortener');
+
+  const find = (shortcode) => server.urls.find(url => url.shortcode === shortcode);
+
+  return {
+    API_BASE_URL: 'http://localhost:3001',
+    authHeaders: () => null,
+    api: {
+      hasSession: vi.fn(() => true),
+      onUnauthenticated: vi.fn(),
+      getCurrentUser: vi.fn(() => Promise.resolve(ADMIN)),
+      logout: vi.fn(() => Promise.resolve(null)),
+      listUsers: vi.fn(() => Promise.resolve([ADMIN])),
+      listDomains: vi.fn(() => Promise.resolve({ domains: [DEFAULT_DOMAIN], defaultDomain: DEFAULT_DOMAIN })),
+      getConfig: vi.fn(() => Promise.resolve({ shortcodeRules: DEFAULT_SHORTCODE_RULES })),
+      listUrls: vi.fn(() => Promise.resolve([...server.urls])),
+      getUrl: vi.fn((shortcode) => Promise.resolve(find(shortcode))),
+      createUrl: vi.fn(({ originalUrl, shortcode, validityPeriod, domain }) => {
+        const url = createUrlRecord({ id: server.nextId++, originalUrl, shortcode, validityPeriod, domain, ownerId: ADMIN.id });
+        server.urls = [url, ...server.urls];
+        return Promise.resolve(url);
+      }),
+      recordClick: vi.fn((shortcode, { referrer }) => {
+        const url = recordClick(find(shortcode), { timestamp: new Date(), userAgent: BROWSER, referrer, visitorId: 'visitor' });
+        server.urls = server.urls.map(u => (u.id === url.id ? url : u));
+        return Promise.resolve({ originalUrl: url.originalUrl });
+      }),
+      deleteUrl: vi.fn((shortcode) => {
+        server.urls = server.urls.filter(url => url.shortcode !== shortcode);
+        return Promise.resolve(null);
+      }),
+      deleteUrls: vi.fn((links) => {
+        const codes = links.map(link => link.shortcode);
+        server.urls = server.urls.filter(url => !codes.includes(url.shortcode));
+        return Promise.resolve({ deleted: links });
+      })
+    }
+  };
+});
+
+// user-event installs its own clipboard, so the spy goes on after setup
+const setup = () => {
+  const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+  vi.spyOn(navigator.clipboard, 'writeText');
+  return user;
+};
+
+const createLink = async (user, originalUrl, shortcode) => {
+  await user.type(screen.getByPlaceholderText('https://example.com/very-long-url'), originalUrl);
+  await user.type(screen.getByPlaceholderText('my-custom-code'), shortcode);
+  await user.click(screen.getByRole('button', { name: 'Create Short URL' }));
+  return screen.findByText(`https://short.ly/${shortcode}`);
+};
+
+describe('Home', () => {
+  beforeEach(() => {
+    server.urls = [];
+    server.nextId = 1;
+
+    vi.useFakeTimers({ now: START, shouldAdvanceTime: true });
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve(new Response(null, { status: 204 }))));
+    vi.spyOn(window, 'open').mockReturnValue(null);
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    vi.spyOn(window, 'alert').mockImplementation(() => {});
+    // activityLog.js wires up the console and HTTP sinks when Home imports it
+    logger.configure({ sinks: [] });
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    window.localStorage.clear();
+  });
+
+  it('creates, copies, opens, expires and deletes a link', async () => {
+    const user = setup();
+    render(<Home />);
+    await screen.findByRole('button', { name: 'Create Short URL' });
+
+    const shortUrl = await createLink(user, 'https://example.com/launch', 'launch');
+    expect(api.createUrl).toHaveBeenCalledWith(expect.objectContaining({
+      originalUrl: 'https://example.com/launch',
+      shortcode: 'launch',
+      validityPeriod: 30
+    }));
+
+    // Copy shows a confirmation for two seconds
+    await user.click(shortUrl.nextElementSibling);
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith('https://short.ly/launch');
+    expect(await screen.findByText('Copied!')).toBeInTheDocument();
+    act(() => vi.advanceTimersByTime(2000));
+    expect(screen.queryByText('Copied!')).not.toBeInTheDocument();
+
+    // Opening the link counts a click and refreshes its stats
+    await user.click(screen.getByText('0 clicks').nextElementSibling);
+    expect(window.open).toHaveBeenCalledWith('https://example.com/launch', '_blank');
+    expect(api.recordClick).toHaveBeenCalledWith('launch', expect.objectContaining({ referrer: 'Direct' }), 'short.ly');
+    expect(await screen.findByText('1 clicks')).toBeInTheDocument();
+
+    // Past its 30 minute validity the link is shown as expired and can't be opened
+    act(() => vi.advanceTimersByTime(31 * 60 * 1000));
+    expect(await screen.findByText('Expired')).toBeInTheDocument();
+    expect(screen.getByText('1 clicks').nextElementSibling).toBeDisabled();
+
+    await user.click(screen.getByRole('button', { name: 'Manage & Analytics' }));
+    await user.click(await screen.findByTitle('Delete URL'));
+    expect(api.deleteUrl).toHaveBeenCalledWith('launch', 'short.ly');
+    await vi.waitFor(() => expect(screen.queryByText('https://short.ly/launch')).not.toBeInTheDocument());
+  });
+
+  it('only sends a bulk delete once the undo window has passed', async () => {
+    const user = setup();
+    render(<Home />);
+    await screen.findByRole('button', { name: 'Create Short URL' });
+    await createLink(user, 'https://example.com/one', 'first');
+
+    await user.click(screen.getByRole('button', { name: 'Manage & Analytics' }));
+    const row = (await screen.findByTitle('Delete URL')).closest('.p-6');
+    await user.click(within(row).getByRole('checkbox'));
+    await user.click(screen.getByRole('button', { name: 'Delete' }));
+
+    expect(window.confirm).toHaveBeenCalled();
+    expect(screen.queryByText('https://short.ly/first')).not.toBeInTheDocument();
+    expect(api.deleteUrls).not.toHaveBeenCalled();
+
+    act(() => vi.advanceTimersByTime(8000));
+    expect(api.deleteUrls).toHaveBeenCalledWith([{ domain: 'short.ly', shortcode: 'first' }]);
+  });
+});
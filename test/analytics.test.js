@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { bucketClicks, humanClicks, summarizeUrls, topUrls } from '../analytics.js';
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const makeUrl = (shortcode, { clicks = 0, uniqueClicks = clicks, expiresAt = new Date('2026-04-01T00:00:00Z'), maxClicks = null } = {}) => ({
+  shortcode,
+  clicks,
+  uniqueClicks,
+  expiresAt,
+  maxClicks,
+  clickHistory: Array.from({ length: clicks }, () => ({ timestamp: NOW, isBot: false }))
+});
+
+describe('summarizeUrls', () => {
+  it('adds up clicks and splits active from unavailable links', () => {
+    const summary = summarizeUrls([
+      makeUrl('a', { clicks: 5, uniqueClicks: 3 }),
+      makeUrl('b', { clicks: 2, expiresAt: new Date('2026-02-01T00:00:00Z') }),
+      makeUrl('c', { clicks: 4, maxClicks: 4 })
+    ], NOW);
+
+    assert.deepEqual(summary, { totalUrls: 3, totalClicks: 11, uniqueClicks: 9, activeUrls: 1, expiredUrls: 2 });
+  });
+
+  it('handles an empty list', () => {
+    assert.deepEqual(summarizeUrls([], NOW), { totalUrls: 0, totalClicks: 0, uniqueClicks: 0, activeUrls: 0, expiredUrls: 0 });
+  });
+});
+
+describe('topUrls', () => {
+  it('ranks by unique clicks, then by total clicks', () => {
+    const ranked = topUrls([
+      makeUrl('repeat', { clicks: 50, uniqueClicks: 2 }),
+      makeUrl('popular', { clicks: 10, uniqueClicks: 10 }),
+      makeUrl('tied', { clicks: 12, uniqueClicks: 10 })
+    ]);
+
+    assert.deepEqual(ranked.map(url => url.shortcode), ['tied', 'popular', 'repeat']);
+  });
+
+  it('keeps only the requested number of links without reordering the input', () => {
+    const urls = ['a', 'b', 'c'].map((code, index) => makeUrl(code, { clicks: index }));
+
+    assert.deepEqual(topUrls(urls, 2).map(url => url.shortcode), ['c', 'b']);
+    assert.deepEqual(urls.map(url => url.shortcode), ['a', 'b', 'c']);
+  });
+});
+
+describe('humanClicks', () => {
+  it('leaves bot clicks out', () => {
+    assert.equal(humanClicks([{ isBot: false }, { isBot: true }, { isBot: false }]).length, 2);
+  });
+});
+
+describe('bucketClicks', () => {
+  it('only builds the most recent buckets for a very long range', () => {
+    const buckets = bucketClicks([{ timestamp: NOW }], {
+      granularity: 'hour',
+      from: new Date('1970-01-01T00:00:00Z'),
+      to: NOW,
+      maxBuckets: 24
+    });
+
+    assert.equal(buckets.length, 24);
+    assert.equal(buckets.at(-1).count, 1);
+    assert.ok(buckets[0].start > new Date('2026-02-28T12:00:00Z'));
+  });
+});
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { containsProfanity, createShortcodeGenerator, encodeNumber, READABLE_ALPHABET } from '../shortcodes.js';
+
+const takenFrom = (codes) => (code) => !codes.includes(code);
+
+describe('createShortcodeGenerator', () => {
+  it('generates random codes of the configured length from the alphabet', () => {
+    const generate = createShortcodeGenerator({ strategy: 'readable', length: 8 });
+
+    for (let i = 0; i < 50; i++) {
+      const code = generate(() => true);
+      assert.equal(code.length, 8);
+      assert.ok([...code].every(char => READABLE_ALPHABET.includes(char)), code);
+    }
+  });
+
+  it('returns null when no free random code turns up', () => {
+    assert.equal(createShortcodeGenerator()(() => false), null);
+  });
+
+  it('counts sequential codes up from the first code of the length', () => {
+    const generate = createShortcodeGenerator({ strategy: 'sequential', length: 3 });
+
+    assert.equal(generate(() => true), '100');
+    assert.equal(generate(() => true), '101');
+  });
+
+  it('skips taken sequential codes', () => {
+    const generate = createShortcodeGenerator({ strategy: 'sequential', length: 3 });
+    assert.equal(generate(takenFrom(['100', '101'])), '102');
+  });
+
+  it('keeps long sequential codes exact', () => {
+    const generate = createShortcodeGenerator({ strategy: 'sequential', length: 20 });
+
+    assert.equal(generate(() => true), `1${'0'.repeat(19)}`);
+    assert.equal(generate(() => true), `1${'0'.repeat(18)}1`);
+  });
+
+  it('rejects invalid options', () => {
+    assert.throws(() => createShortcodeGenerator({ strategy: 'shuffled' }), /Unknown shortcode strategy/);
+    assert.throws(() => createShortcodeGenerator({ length: 2 }), /between 3 and 20/);
+    assert.throws(() => createShortcodeGenerator({ alphabet: 'aa' }), /distinct letters or digits/);
+  });
+});
+
+describe('encodeNumber', () => {
+  it('encodes in base62 by default', () => {
+    assert.equal(encodeNumber(0), '0');
+    assert.equal(encodeNumber(61), 'z');
+    assert.equal(encodeNumber(62), '10');
+  });
+
+  it('encodes values past the safe integer range', () => {
+    assert.equal(encodeNumber(62n ** 12n), `1${'0'.repeat(12)}`);
+  });
+});
+
+describe('containsProfanity', () => {
+  it('catches digit spellings', () => {
+    assert.equal(containsProfanity('x5h1tx'), true);
+    assert.equal(containsProfanity('spring'), false);
+  });
+});
@@ -0,0 +1,222 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  addMinutes,
+  createShortcodeRules,
+  createUniquenessCheck,
+  createUrlRecord,
+  isArchivable,
+  isClickLimitReached,
+  isExpired,
+  isUnavailable,
+  recordClick,
+  validateNewUrl,
+  validateShortcode
+} from '../shortener.js';
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const makeUrl = (overrides = {}) => ({
+  ...createUrlRecord({ id: 1, originalUrl: 'https://example.com', shortcode: 'abc', validityPeriod: 30, now: NOW }),
+  ...overrides
+});
+
+const always = () => true;
+
+describe('validateShortcode', () => {
+  it('accepts letters, numbers and single separators', () => {
+    assert.equal(validateShortcode('spring-sale_2', always), null);
+  });
+
+  it('rejects codes outside the length limits', () => {
+    assert.equal(validateShortcode('ab', always).code, 'SHORTCODE_LENGTH');
+    assert.equal(validateShortcode('a'.repeat(21), always).code, 'SHORTCODE_LENGTH');
+  });
+
+  it('rejects leading, trailing and doubled separators', () => {
+    ['-abc', 'abc_', 'ab--c'].forEach(code => {
+      assert.equal(validateShortcode(code, always).code, 'SHORTCODE_CHARACTERS');
+    });
+  });
+
+  it('rejects reserved path segments regardless of case', () => {
+    assert.equal(validateShortcode('ShortURLs', always).code, 'SHORTCODE_RESERVED');
+  });
+
+  it('rejects codes that are already taken', () => {
+    assert.equal(validateShortcode('abc', () => false).code, 'SHORTCODE_TAKEN');
+  });
+
+  it('follows configured rules', () => {
+    const rules = createShortcodeRules({ minLength: 2, pattern: '[a-z]+', description: 'lowercase letters' });
+
+    assert.equal(validateShortcode('ab', always, rules), null);
+    assert.equal(validateShortcode('AB', always, rules).message, 'Custom shortcode can only contain lowercase letters');
+  });
+});
+
+describe('createShortcodeRules', () => {
+  it('keeps the defaults when nothing is configured', () => {
+    assert.equal(createShortcodeRules().minLength, 3);
+    assert.equal(createShortcodeRules().maxLength, 20);
+  });
+
+  it('matches a custom pattern against the whole shortcode', () => {
+    const { pattern } = createShortcodeRules({ pattern: 'a|b', description: 'a or b' });
+
+    assert.equal(pattern.test('a'), true);
+    assert.equal(pattern.test('ab'), false);
+  });
+
+  it('refuses a custom pattern without a description', () => {
+    assert.throws(() => createShortcodeRules({ pattern: '[a-z]+' }), /needs a description/);
+  });
+
+  it('refuses inverted length limits', () => {
+    assert.throws(() => createShortcodeRules({ minLength: 9, maxLength: 4 }), /min <= max/);
+  });
+});
+
+describe('validateNewUrl', () => {
+  const context = { isShortcodeUnique: always };
+
+  it('accepts a link without a custom shortcode', () => {
+    assert.equal(validateNewUrl({ originalUrl: 'https://example.com', validityPeriod: 30 }, context), null);
+  });
+
+  it('reports the first invalid field in form order', () => {
+    const error = validateNewUrl({ originalUrl: 'not a url', shortcode: '-', validityPeriod: 0 }, context);
+    assert.equal(error.code, 'INVALID_URL');
+  });
+
+  it('runs the destination check after the URL format check', () => {
+    const checkDestination = () => ({ code: 'BLOCKED_DOMAIN', message: 'Blocked' });
+    const error = validateNewUrl({ originalUrl: 'https://example.com', validityPeriod: 30 }, { ...context, checkDestination });
+    assert.equal(error.code, 'BLOCKED_DOMAIN');
+  });
+
+  it('rejects validity periods that are not whole minutes', () => {
+    assert.equal(validateNewUrl({ originalUrl: 'https://example.com', validityPeriod: 1.5 }, context).code, 'INVALID_VALIDITY');
+  });
+
+  it('only checks the password and click limit when they are set', () => {
+    const base = { originalUrl: 'https://example.com', validityPeriod: 30 };
+
+    assert.equal(validateNewUrl({ ...base, password: 'abc' }, context).code, 'INVALID_PASSWORD');
+    assert.equal(validateNewUrl({ ...base, maxClicks: 0 }, context).code, 'INVALID_MAX_CLICKS');
+    assert.equal(validateNewUrl({ ...base, password: 'secret', maxClicks: 10 }, context), null);
+  });
+});
+
+describe('createUniquenessCheck', () => {
+  const isFree = createUniquenessCheck([
+    makeUrl({ shortcode: 'abc', domain: 'short.ly' }),
+    makeUrl({ shortcode: 'xyz', domain: 'go.example.com' })
+  ]);
+
+  it('treats shortcodes as unique per domain', () => {
+    assert.equal(isFree('abc', 'short.ly'), false);
+    assert.equal(isFree('abc', 'go.example.com'), true);
+  });
+
+  it('falls back to the default domain', () => {
+    assert.equal(isFree('abc'), false);
+    assert.equal(isFree('xyz'), true);
+  });
+});
+
+describe('expiry', () => {
+  it('counts validity periods in minutes', () => {
+    assert.deepEqual(addMinutes(NOW, 90), new Date('2026-03-01T13:30:00Z'));
+    assert.deepEqual(makeUrl().expiresAt, new Date('2026-03-01T12:30:00Z'));
+  });
+
+  it('expires a link once its validity period has passed', () => {
+    const url = makeUrl();
+
+    assert.equal(isExpired(url, addMinutes(NOW, 30)), false);
+    assert.equal(isExpired(url, addMinutes(NOW, 31)), true);
+  });
+
+  it('treats a link at its click limit as unavailable', () => {
+    const visit = { timestamp: NOW, userAgent: BROWSER, referrer: 'Direct', visitorId: null };
+    const url = recordClick(recordClick(makeUrl({ maxClicks: 2 }), visit), visit);
+
+    assert.equal(isClickLimitReached(url), true);
+    assert.equal(isUnavailable(url, NOW), true);
+  });
+
+  it('counts bot visits towards the click limit', () => {
+    const url = recordClick(makeUrl({ maxClicks: 1 }), {
+      timestamp: NOW,
+      userAgent: 'Googlebot/2.1 (+http://www.google.com/bot.html)',
+      referrer: 'Direct',
+      visitorId: null
+    });
+
+    assert.equal(url.clicks, 0);
+    assert.equal(isClickLimitReached(url), true);
+  });
+
+  it('archives links that stayed expired for a week', () => {
+    const url = makeUrl();
+
+    assert.equal(isArchivable(url, addMinutes(url.expiresAt, 7 * 24 * 60)), false);
+    assert.equal(isArchivable(url, addMinutes(url.expiresAt, 7 * 24 * 60 + 1)), true);
+    assert.equal(isArchivable({ ...url, archivedAt: NOW }, addMinutes(NOW, 365 * 24 * 60)), false);
+  });
+});
+
+describe('recordClick', () => {
+  const click = (url, minutes, visitorId, userAgent = BROWSER) => recordClick(url, {
+    timestamp: addMinutes(NOW, minutes),
+    userAgent,
+    referrer: 'Direct',
+    visitorId
+  });
+
+  it('counts a first visit as unique', () => {
+    const url = click(makeUrl(), 1, 'visitor-a');
+
+    assert.equal(url.clicks, 1);
+    assert.equal(url.uniqueClicks, 1);
+    assert.equal(url.clickHistory[0].isUnique, true);
+  });
+
+  it('counts repeat visits within a day towards the total only', () => {
+    const url = click(click(makeUrl(), 1, 'visitor-a'), 60, 'visitor-a');
+
+    assert.equal(url.clicks, 2);
+    assert.equal(url.uniqueClicks, 1);
+  });
+
+  it('counts the same visitor as unique again after a day', () => {
+    const url = click(click(makeUrl(), 1, 'visitor-a'), 24 * 60 + 2, 'visitor-a');
+    assert.equal(url.uniqueClicks, 2);
+  });
+
+  it('keeps bot clicks in the history without counting them', () => {
+    const url = click(makeUrl(), 1, 'visitor-a', 'Googlebot/2.1 (+http://www.google.com/bot.html)');
+
+    assert.equal(url.clicks, 0);
+    assert.equal(url.uniqueClicks, 0);
+    assert.equal(url.clickHistory[0].isBot, true);
+  });
+
+  it('ignores earlier bot clicks from the same visitor', () => {
+    const crawled = click(makeUrl(), 1, 'visitor-a', 'Googlebot/2.1 (+http://www.google.com/bot.html)');
+    const url = click(crawled, 2, 'visitor-a');
+
+    assert.equal(url.clicks, 1);
+    assert.equal(url.uniqueClicks, 1);
+  });
+
+  it('does not mutate the original link', () => {
+    const url = makeUrl();
+    click(url, 1, 'visitor-a');
+
+    assert.equal(url.clicks, 0);
+    assert.deepEqual(url.clickHistory, []);
+  });
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createDestinationChecker, isPrivateHost } from '../urlSafety.js';
+
+const check = createDestinationChecker({ ownHosts: ['short.ly'], blockedDomains: ['evil.example'] });
+const codeFor = (url) => check(url)?.code ?? null;
+
+describe('createDestinationChecker', () => {
+  it('accepts public http and https destinations', () => {
+    assert.equal(codeFor('https://example.com/page'), null);
+    assert.equal(codeFor('http://[2606:4700::1111]/'), null);
+  });
+
+  it('rejects other protocols', () => {
+    assert.equal(codeFor('ftp://example.com/file'), 'UNSUPPORTED_PROTOCOL');
+  });
+
+  it('rejects links to this service, other shorteners and blocked domains', () => {
+    assert.equal(codeFor('https://short.ly/abc'), 'SELF_REFERENCE');
+    assert.equal(codeFor('https://bit.ly/abc'), 'REDIRECT_CHAIN');
+    assert.equal(codeFor('https://www.evil.example/'), 'BLOCKED_DOMAIN');
+  });
+
+  it('ignores a trailing dot on the hostname', () => {
+    assert.equal(codeFor('https://short.ly./abc'), 'SELF_REFERENCE');
+    assert.equal(codeFor('https://bit.ly./abc'), 'REDIRECT_CHAIN');
+    assert.equal(codeFor('https://evil.example./'), 'BLOCKED_DOMAIN');
+    assert.equal(codeFor('http://localhost./'), 'PRIVATE_ADDRESS');
+  });
+});
+
+describe('isPrivateHost', () => {
+  it('flags local names and private IPv4 ranges', () => {
+    ['localhost', 'printer.local', '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254'].forEach(host => {
+      assert.equal(isPrivateHost(host), true, host);
+    });
+  });
+
+  it('flags private IPv6 forms as the URL parser normalises them', () => {
+    ['::1', '::7f00:1', '::ffff:a00:1', '64:ff9b::7f00:1', '64:ff9b:1::1', 'fd00::1', 'fe80::1', 'ff02::1'].forEach(host => {
+      assert.equal(isPrivateHost(`[${host}]`), true, host);
+    });
+  });
+
+  it('lets public addresses through', () => {
+    ['example.com', '8.8.8.8', '[64:ff9b::808:808]', '[2001:4860::8888]'].forEach(host => {
+      assert.equal(isPrivateHost(host), false, host);
+    });
+  });
+});
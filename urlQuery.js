@@ -0,0 +1,66 @@
+import { isClickLimitReached, isExpired, isUnavailable } from './shortener';
+
+export const STATUS_FILTERS = {
+  all: { label: 'All statuses', matches: () => true },
+  active: { label: 'Active', matches: (url, now) => !isUnavailable(url, now) },
+  expired: { label: 'Expired', matches: (url, now) => isExpired(url, now) },
+  'limit-reached': { label: 'Limit reached', matches: (url, now) => !isExpired(url, now) && isClickLimitReached(url) },
+  protected: { label: 'Password protected', matches: (url) => Boolean(url.isProtected) }
+};
+
+export const PAGE_SIZES = [20, 50, 100];
+
+export const SORT_OPTIONS = [
+  ['createdAt', 'Created'],
+  ['expiresAt', 'Expiry'],
+  ['clicks', 'Clicks']
+];
+
+export const DEFAULT_QUERY = {
+  search: '',
+  status: 'all',
+  campaign: null,
+  createdFrom: '',
+  createdTo: '',
+  minClicks: '',
+  maxClicks: '',
+  sortBy: 'createdAt',
+  sortDirection: 'desc'
+};
+
+// `createdFrom`/`createdTo` are `<input type="date">` values, compared in local time
+export const filterUrls = (urls, query, now = new Date()) => {
+  const search = query.search.trim().toLowerCase();
+  const createdFrom = query.createdFrom ? new Date(`${query.createdFrom}T00:00:00`) : null;
+  const createdTo = query.createdTo ? new Date(`${query.createdTo}T23:59:59.999`) : null;
+  const minClicks = query.minClicks === '' ? null : Number(query.minClicks);
+  const maxClicks = query.maxClicks === '' ? null : Number(query.maxClicks);
+
+  return urls.filter(url => (
+    (!search || url.originalUrl.toLowerCase().includes(search) || url.shortcode.toLowerCase().includes(search))
+    && STATUS_FILTERS[query.status].matches(url, now)
+    && (query.campaign === null || (url.campaign ?? '') === query.campaign)
+    && (!createdFrom || url.createdAt >= createdFrom)
+    && (!createdTo || url.createdAt <= createdTo)
+    && (minClicks === null || url.clicks >= minClicks)
+    && (maxClicks === null || url.clicks <= maxClicks)
+  ));
+};
+
+export const sortUrls = (urls, { sortBy, sortDirection }) => {
+  const direction = sortDirection === 'asc' ? 1 : -1;
+  const value = (url) => (sortBy === 'clicks' ? url.clicks : url[sortBy].getTime());
+
+  return [...urls].sort((a, b) => (value(a) - value(b)) * direction || (b.id - a.id));
+};
+
+export const paginate = (items, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const currentPage = Math.min(Math.max(1, page), pageCount);
+
+  return {
+    items: items.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+    page: currentPage,
+    pageCount
+  };
+};
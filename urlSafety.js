@@ -0,0 +1,143 @@
+export const DEFAULT_ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// Public shorteners; pointing at one would turn our link into a redirect chain
+export const KNOWN_SHORTENER_HOSTS = [
+  'bit.ly',
+  'buff.ly',
+  'cutt.ly',
+  'goo.gl',
+  'is.gd',
+  'ow.ly',
+  'rb.gy',
+  'rebrand.ly',
+  'shorturl.at',
+  't.co',
+  'tiny.cc',
+  'tinyurl.com'
+];
+
+const LOCAL_DOMAINS = ['localhost', 'local', 'internal', 'localdomain'];
+
+const matchesDomain = (hostname, domain) => hostname === domain || hostname.endsWith(`.${domain}`);
+
+// `short.ly.` and `short.ly` are the same host, so fully qualified names must not slip past the checks
+const normalizeHostname = (hostname) => hostname.replace(/\.+$/, '');
+
+const parseIpv4 = (hostname) => {
+  const match = hostname.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  return match ? match.slice(1).map(Number) : null;
+};
+
+const isPrivateIpv4 = ([a, b]) => a === 0
+  || a === 10
+  || a === 127
+  || (a === 100 && b >= 64 && b <= 127)
+  || (a === 169 && b === 254)
+  || (a === 172 && b >= 16 && b <= 31)
+  || (a === 192 && b === 168)
+  || a >= 224;
+
+// The URL parser already normalises IPv6 hosts to compressed hex groups,
+// e.g. `[::ffff:127.0.0.1]` to `[::ffff:7f00:1]`
+const expandIpv6 = (address) => {
+  const [head, tail] = address.split('::');
+  const parse = (part) => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const high = parse(head);
+  if (tail === undefined) return high;
+
+  const low = parse(tail);
+  return [...high, ...Array(8 - high.length - low.length).fill(0), ...low];
+};
+
+const hasPrefix = (groups, prefix) => prefix.every((group, index) => groups[index] === group);
+
+const isPrivateIpv6 = (address) => {
+  const groups = expandIpv6(address);
+  const embeddedIpv4 = [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff];
+
+  // `::`, `::1`, IPv4-compatible (`::127.0.0.1`) and IPv4-mapped (`::ffff:127.0.0.1`)
+  if (hasPrefix(groups, [0, 0, 0, 0, 0]) && (groups[5] === 0 || groups[5] === 0xffff)) {
+    return isPrivateIpv4(embeddedIpv4);
+  }
+
+  // NAT64: the well-known prefix reaches the embedded IPv4 address, the local-use one stays internal
+  if (hasPrefix(groups, [0x64, 0xff9b, 0, 0, 0, 0])) return isPrivateIpv4(embeddedIpv4);
+  if (hasPrefix(groups, [0x64, 0xff9b, 1])) return true;
+
+  // Unique local fc00::/7, link-local fe80::/10, site-local fec0::/10 and multicast ff00::/8
+  return (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) >= 0xfe80;
+};
+
+export const isPrivateHost = (rawHostname) => {
+  const hostname = normalizeHostname(rawHostname);
+
+  if (LOCAL_DOMAINS.some(domain => matchesDomain(hostname, domain))) {
+    return true;
+  }
+
+  if (hostname.startsWith('[')) {
+    return isPrivateIpv6(hostname.slice(1, -1));
+  }
+
+  const ipv4 = parseIpv4(hostname);
+  return ipv4 ? isPrivateIpv4(ipv4) : false;
+};
+
+// Builds the destination pipeline run before a link is created or its target changes.
+// Each check returns `{ code, message }` for a rejection and null to pass it on.
+// `ownHosts` may be a function when the set of short domains can change at runtime.
+export const createDestinationChecker = ({
+  allowedProtocols = DEFAULT_ALLOWED_PROTOCOLS,
+  ownHosts = [],
+  shortenerHosts = KNOWN_SHORTENER_HOSTS,
+  blockedDomains = []
+} = {}) => {
+  const getOwnHosts = typeof ownHosts === 'function' ? ownHosts : () => ownHosts;
+
+  const checks = [
+    (url) => (allowedProtocols.includes(url.protocol) ? null : {
+      code: 'UNSUPPORTED_PROTOCOL',
+      message: `Links must use ${allowedProtocols.map(protocol => protocol.replace(':', '')).join(' or ')} (got "${url.protocol.replace(':', '')}")`
+    }),
+    (url, hostname) => (getOwnHosts().some(host => matchesDomain(hostname, host)) ? {
+      code: 'SELF_REFERENCE',
+      message: 'Links cannot point at another short link on this service'
+    } : null),
+    (url, hostname) => (shortenerHosts.some(host => matchesDomain(hostname, host)) ? {
+      code: 'REDIRECT_CHAIN',
+      message: `Links cannot point at another URL shortener (${hostname}). Please use the final destination instead.`
+    } : null),
+    (url, hostname) => {
+      const blocked = blockedDomains.find(domain => matchesDomain(hostname, domain));
+      return blocked ? { code: 'BLOCKED_DOMAIN', message: `Links to ${blocked} are not allowed` } : null;
+    },
+    (url, hostname) => (isPrivateHost(hostname) ? {
+      code: 'PRIVATE_ADDRESS',
+      message: 'Links cannot point at localhost or private network addresses'
+    } : null)
+  ];
+
+  return (destination) => {
+    let url;
+    try {
+      url = new URL(destination.trim());
+    } catch (_) {
+      return { code: 'INVALID_URL', message: 'Please enter a valid URL' };
+    }
+
+    const hostname = normalizeHostname(url.hostname);
+
+    for (const check of checks) {
+      const error = check(url, hostname);
+      if (error) return error;
+    }
+
+    return null;
+  };
+};
+
+// One domain per line; blank lines, `#` comments and leading `*.` wildcards are ignored
+export const parseBlocklist = (text) => text
+  .split(/\r?\n/)
+  .map(line => line.replace(/#.*/, '').trim().toLowerCase().replace(/^\*?\./, ''))
+  .filter(Boolean);
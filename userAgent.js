@@ -0,0 +1,52 @@
+// First match wins, so more specific tokens come before the engines they build on
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//],
+  ['Internet Explorer', /MSIE |Trident\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['Windows', /Windows/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+// Crawlers, link-preview fetchers, uptime checkers and scripted HTTP clients
+const BOT_PATTERN = new RegExp([
+  'bot', 'crawl', 'spider', 'slurp', 'archiver', 'preview', 'facebookexternalhit', 'embedly', 'whatsapp',
+  'headless', 'phantomjs', 'lighthouse', 'pingdom', 'uptime', 'monitor', 'curl', 'wget', 'httpie',
+  'python-requests', 'python-urllib', 'aiohttp', 'go-http-client', 'okhttp', 'java/', 'libwww', 'axios', 'node-fetch'
+].join('|'), 'i');
+
+// A missing user agent is almost always a script, so it counts as a bot too
+export const isBotUserAgent = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+const matchFirst = (patterns, userAgent) => {
+  const match = patterns.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : 'Other';
+};
+
+const detectDevice = (userAgent) => {
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/.test(userAgent)) return 'Tablet';
+  if (/Mobi|iPhone|iPod|Android|Windows Phone/.test(userAgent)) return 'Mobile';
+  return 'Desktop';
+};
+
+export const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { browser: 'Unknown', os: 'Unknown', device: 'Unknown' };
+  }
+
+  return {
+    browser: matchFirst(BROWSERS, userAgent),
+    os: matchFirst(OPERATING_SYSTEMS, userAgent),
+    device: detectDevice(userAgent)
+  };
+};
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config';
+
+// Component tests only; the pure modules are covered by `node --test`
+export default defineConfig({
+  esbuild: { jsx: 'automatic' },
+  test: {
+    environment: 'jsdom',
+    include: ['test/**/*.test.jsx']
+  }
+});